@@ -5,17 +5,29 @@
  *
  * State Overview:
  * - If not initialized (no configuration saved), show the setup form.
- * - Once initialized, show synchronization and reset options.
+ * - Once initialized, show synchronization, backfill, calendars, schedule, sync history, storage and reset options.
  *
  * Events:
  * - 'setup': Initializes configuration.
- * - 'syncEvents': Synchronizes events from Calendar to BigQuery.
- * - 'syncProjectData': Synchronizes project data from Sheets to BigQuery.
+ * - 'syncEvents': Synchronizes events from the enabled calendars to BigQuery.
+ * - 'addCalendar': Adds a calendar to synchronize.
+ * - 'toggleCalendar': Enables or disables the synchronization of a calendar.
+ * - 'removeCalendar': Stops synchronizing a calendar.
+ * - 'syncProjectData': Validates the Projects sheet and synchronizes project data from Sheets to BigQuery
+ *   (only the valid rows when `skipInvalidRows` is set, which is remembered for later syncs).
+ * - 'setSkipInvalidRows': Chooses whether project syncs skip invalid rows.
+ * - 'setProjectSyncMode': Chooses between appending and upserting project data. Blocked upserts are retried in the background.
+ * - 'setColumnAliases': Stores additional header names of the Projects sheet columns.
+ * - 'backfill': Re-exports the events between two dates to BigQuery.
+ * - 'installSchedule': Installs the time-driven triggers for background synchronization.
+ * - 'removeSchedule': Removes the time-driven triggers.
+ * - 'setGapCheck': Turns the daily check for unlogged time on or off.
+ * - 'rebuildTables': Schedules the rebuild of existing tables into the partitioned and clustered layout.
  * - 'resetSync': Resets synchronization token for Calendar events.
  * - 'resetConfig': Resets all configuration, allowing a fresh setup.
  */
 
-/* global gasConfigManager, gasSyncManager, gasBigQueryManager, gasProjectInfoManager, CardService, console */
+/* global gasConfigManager, gasSyncManager, gasSyncRunManager, gasTriggerManager, gasSchemaManager, gasGapCheckManager, CardService, Calendar, Session, Utilities, console */
 
 /**
  * Creates and returns an Admin Tools card for a Google Workspace Add-on.
@@ -24,7 +36,7 @@
  * @param {Object} [options.parameters={}] - Parameters containing state and event information.
  * @param {string} [options.parameters.event] - The current event/action to handle (e.g., 'syncEvents', 'setup').
  * @param {string} [options.parameters.state] - The current state of the card (e.g., 'initialized').
- * @param {Object} [options.formInput={}] - User input from the form fields (e.g., PROJECT_ID, DATASET_ID).
+ * @param {Object} [options.formInput={}] - User input from the form fields (e.g., PROJECT_ID, DATASET_ID, SYNC_INTERVAL, BACKFILL_START).
  * @returns {CardService.ActionResponse|CardService.Card} - Returns a card or an action response depending on the event handling.
  */
 const AdminCard = (options = {}) => {
@@ -40,14 +52,38 @@ const AdminCard = (options = {}) => {
 
   const configManager = gasConfigManager();
   const config = configManager.getConfiguration();
+  const triggerManager = gasTriggerManager();
+
+  const SYNC_HISTORY_LIMIT = 5;
+  const DATASET_LOCATIONS = [
+    { label: 'US (multi-region)', value: 'US' },
+    { label: 'EU (multi-region)', value: 'EU' },
+    { label: 'Belgium (europe-west1)', value: 'europe-west1' },
+    { label: 'Frankfurt (europe-west3)', value: 'europe-west3' },
+    { label: 'Netherlands (europe-west4)', value: 'europe-west4' },
+    { label: 'London (europe-west2)', value: 'europe-west2' },
+    { label: 'Iowa (us-central1)', value: 'us-central1' }
+  ];
+  // Card actions must return within 30 seconds; longer syncs continue from a checkpoint in the background
+  const CARD_TIME_BUDGET_MS = 20 * 1000;
+  // The daily check for unlogged time runs in the morning, after the previous working day
+  const GAP_CHECK_HOUR = 7;
+  const REBUILD_PAUSE_MESSAGE = "The tables are being rebuilt. Synchronization is paused until the rebuild has finished.";
 
   let syncManager = null;
+  let syncRunManager = null;
   if (configManager.isInitialized()) {
+    syncRunManager = gasSyncRunManager({
+      projectId: config.projectId,
+      datasetId: config.datasetId
+    });
     syncManager = gasSyncManager({
       projectId: config.projectId,
       datasetId: config.datasetId,
       tableId: 'time',
-      calendarId: config.calendarId,
+      calendars: config.calendars,
+      syncRunManager,
+      timeBudgetMs: CARD_TIME_BUDGET_MS
     });
   } else {
     console.warn("Configuration is not initialized. SyncManager cannot be created.");
@@ -62,10 +98,29 @@ const AdminCard = (options = {}) => {
     if (!syncManager) {
       return errorActionResponse("Unable to synchronize events because configuration is not initialized.");
     }
+    if (isRebuildInProgress()) {
+      return errorActionResponse(REBUILD_PAUSE_MESSAGE);
+    }
 
     try {
-      syncManager.syncCalendarToBigQuery();
-      return successActionResponse("Events synchronized successfully!");
+      const schemaWarning = migrateSchema();
+      const results = syncManager.syncCalendarToBigQuery();
+      configManager.recordCalendarSyncResults(results);
+
+      const incomplete = results.filter(result => !result.complete && !result.error);
+      const resumeAt = incomplete.length > 0 ? triggerManager.scheduleResume('resumeCalendarSync') : null;
+
+      const failures = results.filter(result => result.error);
+      if (failures.length > 0) {
+        return errorActionResponse(`Failed to synchronize ${failures.length} of ${results.length} calendar(s): ` +
+          failures.map(result => `${getCalendarName(result.calendarId)}: ${result.error}`).join('; '));
+      }
+
+      if (incomplete.length > 0) {
+        return successActionResponse(`Synchronization of ${incomplete.length} calendar(s) continues in the background ${describeResume(resumeAt)}.${schemaWarning}`);
+      }
+
+      return successActionResponse(`Events from ${results.length} calendar(s) synchronized successfully!${schemaWarning}`);
     } catch (error) {
       console.error(`Error synchronizing events: ${error.message}`);
       return errorActionResponse(`Failed to synchronize events. Error: ${error.message}`);
@@ -74,37 +129,299 @@ const AdminCard = (options = {}) => {
 
   /**
    * Synchronize project data from the Google Sheet to BigQuery.
+   * The sheet is validated first; if rows are rejected, the validation report is shown instead, with
+   * the option to sync only the valid rows.
    * After syncing, clear the cache to ensure that subsequent requests fetch fresh project and client data.
+   * If the sync runs out of time, it continues in the background from its checkpoint. In upsert mode, a merge
+   * that is blocked by rows in the streaming buffer is retried in the background (see `resumeProjectSync`).
    */
   const handleSyncProjectData = () => {
     if (!configManager.isInitialized()) {
       return errorActionResponse("Configuration not initialized. Cannot synchronize project data.");
     }
+    if (isRebuildInProgress()) {
+      return errorActionResponse(REBUILD_PAUSE_MESSAGE);
+    }
+
+    // Chosen on the validation report card, and kept for later syncs including the background syncs
+    const fromValidationReport = parameters.skipInvalidRows === 'true';
+    const skipInvalidRows = fromValidationReport || config.skipInvalidProjectRows;
 
     try {
-      const bigQueryManager = gasBigQueryManager({
-        projectId: config.projectId,
-        datasetId: config.datasetId,
-        tableId: 'projects'
-      });
+      if (fromValidationReport) {
+        configManager.setSkipInvalidProjectRows(true);
+      }
+      const projectDataManager = createProjectDataManager();
 
-      const projectDataManager = gasProjectInfoManager({
-        spreadsheetId: config.spreadsheetId,
-        sheetName: 'Projects',
-        bigQueryManager
-      });
+      if (!skipInvalidRows) {
+        projectDataManager.clearCache();
+        const report = projectDataManager.validateRows();
+        if (report.rejectedCount > 0) {
+          return CardService.newActionResponseBuilder()
+            .setNavigation(CardService.newNavigation().pushCard(buildValidationReportCard(report)))
+            .build();
+        }
+      }
+
+      const schemaWarning = migrateSchema();
+      const { complete, insertErrors } = projectDataManager.syncToBigQuery({ skipInvalidRows });
+      const skippedNote = insertErrors > 0 ? ` ${insertErrors} invalid row(s) skipped.` : '';
+
+      if (!complete) {
+        const resumeAt = triggerManager.scheduleResume('resumeProjectSync');
+        return successActionResponse(`Project data synchronization continues in the background ${describeResume(resumeAt)}.${skippedNote}${schemaWarning}`, fromValidationReport);
+      }
 
-      projectDataManager.syncToBigQuery();
       // Clear the cache after syncing to ensure fresh data is loaded next time
       projectDataManager.clearCache();
 
-      return successActionResponse("Project data synchronized and cache cleared successfully!");
+      return successActionResponse(`Project data synchronized and cache cleared successfully!${skippedNote}${schemaWarning}`, fromValidationReport);
     } catch (error) {
       console.error(`Error synchronizing project data: ${error.message}`);
       return errorActionResponse(`Failed to synchronize project data. Error: ${error.message}`);
     }
   };
 
+  /**
+   * Stores the selected Projects sheet sync mode.
+   */
+  const handleSetProjectSyncMode = () => {
+    try {
+      configManager.setProjectSyncMode(formInput.PROJECT_SYNC_MODE);
+      return successActionResponse(formInput.PROJECT_SYNC_MODE === 'upsert'
+        ? "Project syncs now only write changed codes."
+        : "Project syncs now append a snapshot of every row.");
+    } catch (error) {
+      console.error(`Error setting project sync mode: ${error.message}`);
+      return errorActionResponse(`Failed to set project sync mode. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Stores whether project syncs skip invalid rows, from the switch of the synchronization section.
+   */
+  const handleSetSkipInvalidRows = () => {
+    try {
+      const skip = formInput.SKIP_INVALID_PROJECT_ROWS === 'true';
+      configManager.setSkipInvalidProjectRows(skip);
+      return successActionResponse(skip
+        ? "Project syncs now skip invalid rows of the Projects sheet."
+        : "Project syncs now stop at invalid rows of the Projects sheet.");
+    } catch (error) {
+      console.error(`Error setting invalid row handling: ${error.message}`);
+      return errorActionResponse(`Failed to set invalid row handling. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Stores the additional header names of the Projects sheet columns, entered as
+   * `Column=Header, Header; Column=Header`. A column is named by its key or its first header (e.g. `Rate`).
+   */
+  const handleSetColumnAliases = () => {
+    const columns = createProjectDataManager().PROJECT_COLUMNS;
+    const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const aliases = {};
+    const entries = (formInput.COLUMN_ALIASES || '').split(';').map(entry => entry.trim()).filter(entry => entry);
+    for (const entry of entries) {
+      const [columnName, headers = ''] = entry.split('=');
+      const column = columns.find(({ key, headers: [header] }) => [key, header].some(name => normalize(name) === normalize(columnName)));
+      const names = headers.split(',').map(name => name.trim()).filter(name => name);
+      if (!column || names.length === 0) {
+        return errorActionResponse(`Invalid column alias "${entry}". Use Column=Header, Header with one of: ${columns.map(({ headers: [header] }) => header).join(', ')}.`);
+      }
+      aliases[column.key] = (aliases[column.key] || []).concat(names);
+    }
+
+    try {
+      configManager.setColumnAliases(aliases);
+      return successActionResponse(entries.length > 0 ? "Projects sheet column aliases saved." : "Projects sheet column aliases removed.");
+    } catch (error) {
+      console.error(`Error setting column aliases: ${error.message}`);
+      return errorActionResponse(`Failed to set column aliases. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Re-exports the events between the two dates of the backfill form to BigQuery.
+   * Optionally deletes the existing rows in the range first.
+   */
+  const handleBackfill = () => {
+    if (!syncManager) {
+      return errorActionResponse("Unable to re-export events because configuration is not initialized.");
+    }
+    if (isRebuildInProgress()) {
+      return errorActionResponse(REBUILD_PAUSE_MESSAGE);
+    }
+
+    const startMs = formInput.BACKFILL_START && parseInt(formInput.BACKFILL_START.msSinceEpoch, 10);
+    const endMs = formInput.BACKFILL_END && parseInt(formInput.BACKFILL_END.msSinceEpoch, 10);
+    if (!startMs || !endMs) {
+      return errorActionResponse("Select both a start and an end date to re-export events.");
+    }
+    if (startMs > endMs) {
+      return errorActionResponse("The start date must be on or before the end date.");
+    }
+
+    try {
+      const schemaWarning = migrateSchema();
+      const results = syncManager.backfillCalendarToBigQuery({
+        startDate: new Date(startMs),
+        endDate: new Date(endMs),
+        replaceExisting: formInput.BACKFILL_REPLACE === 'replace'
+      });
+
+      const failures = results.filter(result => result.error);
+      if (failures.length > 0) {
+        return errorActionResponse(`Failed to re-export ${failures.length} of ${results.length} calendar(s): ` +
+          failures.map(result => `${getCalendarName(result.calendarId)}: ${result.error}`).join('; '));
+      }
+
+      const rowsWritten = results.reduce((total, result) => total + result.rowsWritten, 0);
+      if (results.some(result => !result.complete)) {
+        return errorActionResponse(`Re-export stopped after ${rowsWritten} events because it ran out of time. Use a shorter date range.`);
+      }
+
+      return successActionResponse(`Re-exported ${rowsWritten} events to BigQuery.${schemaWarning}`);
+    } catch (error) {
+      console.error(`Error re-exporting events: ${error.message}`);
+      return errorActionResponse(`Failed to re-export events. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Adds the calendar selected in the form to the synchronized calendars.
+   */
+  const handleAddCalendar = () => {
+    const calendarIdInput = formInput.NEW_CALENDAR_ID && formInput.NEW_CALENDAR_ID.trim();
+    if (!calendarIdInput) {
+      return errorActionResponse("Select a calendar to add.");
+    }
+
+    try {
+      const calendar = Calendar.Calendars.get(calendarIdInput);
+      configManager.addCalendar({ calendarId: calendar.id, name: calendar.summary });
+      return successActionResponse(`Calendar "${calendar.summary}" added. It will be fully synchronized on the next run.`);
+    } catch (error) {
+      console.error(`Error adding calendar: ${error.message}`);
+      return errorActionResponse(`Failed to add calendar. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Enables or disables the synchronization of a calendar.
+   */
+  const handleToggleCalendar = () => {
+    const { calendarId } = parameters;
+    const calendar = config.calendars.find(item => item.calendarId === calendarId);
+    if (!calendar) {
+      return errorActionResponse("Calendar not found.");
+    }
+
+    try {
+      const enabled = calendar.enabled === false;
+      configManager.updateCalendar(calendarId, { enabled });
+      return successActionResponse(`Calendar "${calendar.name}" ${enabled ? 'enabled' : 'disabled'}.`);
+    } catch (error) {
+      console.error(`Error updating calendar: ${error.message}`);
+      return errorActionResponse(`Failed to update calendar. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Stops synchronizing a calendar and clears its sync token.
+   * Rows already exported to BigQuery are kept.
+   */
+  const handleRemoveCalendar = () => {
+    const { calendarId } = parameters;
+
+    try {
+      configManager.removeCalendar(calendarId);
+      if (syncManager) {
+        syncManager.resetSyncToken(calendarId);
+      }
+      return successActionResponse(`Calendar "${getCalendarName(calendarId)}" removed.`);
+    } catch (error) {
+      console.error(`Error removing calendar: ${error.message}`);
+      return errorActionResponse(`Failed to remove calendar. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Installs (or replaces) the time-driven triggers for background synchronization.
+   */
+  const handleInstallSchedule = () => {
+    if (!configManager.isInitialized()) {
+      return errorActionResponse("Configuration not initialized. Cannot schedule synchronization.");
+    }
+
+    const intervalHours = parseInt(formInput.SYNC_INTERVAL, 10);
+    if (!intervalHours) {
+      return errorActionResponse("Select an interval to schedule synchronization.");
+    }
+
+    try {
+      triggerManager.installTriggers(intervalHours);
+      return successActionResponse(`Background synchronization scheduled every ${intervalHours} hour(s).`);
+    } catch (error) {
+      console.error(`Error scheduling synchronization: ${error.message}`);
+      return errorActionResponse(`Failed to schedule synchronization. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Removes the time-driven triggers for background synchronization.
+   */
+  const handleRemoveSchedule = () => {
+    try {
+      const removed = triggerManager.removeTriggers();
+      return successActionResponse(`Background synchronization stopped (${removed} trigger(s) removed).`);
+    } catch (error) {
+      console.error(`Error removing schedule: ${error.message}`);
+      return errorActionResponse(`Failed to remove schedule. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Turns the daily check for unlogged time on or off, from the switch of the schedule section.
+   */
+  const handleSetGapCheck = () => {
+    try {
+      if (formInput.GAP_CHECK === 'true') {
+        triggerManager.installDailyTrigger('runDailyGapCheck', GAP_CHECK_HOUR);
+        return successActionResponse(`Unlogged time of the previous working day is checked every morning at about ${GAP_CHECK_HOUR}:00.`);
+      }
+
+      triggerManager.removeDailyTrigger('runDailyGapCheck');
+      gasGapCheckManager().clearReport();
+      return successActionResponse("The daily check for unlogged time is turned off.");
+    } catch (error) {
+      console.error(`Error setting the daily check for unlogged time: ${error.message}`);
+      return errorActionResponse(`Failed to set the daily check for unlogged time. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Schedules the rebuild of the BigQuery tables that were created before they were partitioned and clustered.
+   * A rebuild copies every table twice, which does not fit in a card action, so it runs from a one-off trigger.
+   * Synchronization is paused from now until it has finished. The rows are kept, and a backup copy of every
+   * rebuilt table stays in the dataset.
+   */
+  const handleRebuildTables = () => {
+    if (!configManager.isInitialized()) {
+      return errorActionResponse("Configuration not initialized. Cannot rebuild tables.");
+    }
+
+    try {
+      createSchemaManager().requestRebuild();
+      const runAt = triggerManager.scheduleOnce('runTableRebuild');
+      return successActionResponse(`Table rebuild scheduled at about ${formatDateTime(runAt)}. Synchronization is paused until it has finished.`);
+    } catch (error) {
+      console.error(`Error scheduling table rebuild: ${error.message}`);
+      return errorActionResponse(`Failed to schedule table rebuild. Error: ${error.message}`);
+    }
+  };
+
   /**
    * Resets the synchronization token.
    * Causes next sync to perform a full synchronization.
@@ -152,14 +469,35 @@ const AdminCard = (options = {}) => {
     const datasetIdInput = (formInput.DATASET_ID && formInput.DATASET_ID.trim()) || 'ara_time';
     const calendarNameInput = (formInput.CALENDAR_NAME && formInput.CALENDAR_NAME.trim()) || 'ara time';
 
+    const locationInput = formInput.DATASET_LOCATION || 'US';
+    const expirationInput = formInput.PARTITION_EXPIRATION_DAYS && formInput.PARTITION_EXPIRATION_DAYS.trim();
+
     if (!projectIdInput) {
       return errorActionResponse("Project ID is required to complete setup. Please provide a valid Project ID.");
     }
 
+    const partitionExpirationDays = expirationInput ? parseInt(expirationInput, 10) : null;
+    if (expirationInput && !(partitionExpirationDays > 0 && String(partitionExpirationDays) === expirationInput)) {
+      return errorActionResponse("Partition expiration must be a whole number of days, or empty to keep all data.");
+    }
+
+    const labels = {};
+    const labelPairs = (formInput.DATASET_LABELS || '').split(',').map(pair => pair.trim()).filter(pair => pair);
+    for (const pair of labelPairs) {
+      const [key, value = ''] = pair.split('=').map(part => part.trim());
+      if (!/^[a-z][a-z0-9_-]{0,62}$/.test(key) || !/^[a-z0-9_-]{0,63}$/.test(value)) {
+        return errorActionResponse(`Invalid label "${pair}". Use key=value with lowercase letters, digits, "_" and "-".`);
+      }
+      labels[key] = value;
+    }
+
     const { success, messages } = configManager.configureApp({
       projectId: projectIdInput,
       datasetId: datasetIdInput,
-      calendarName: calendarNameInput
+      calendarName: calendarNameInput,
+      location: locationInput,
+      labels,
+      partitionExpirationDays
     });
 
     const notificationText = success
@@ -200,6 +538,11 @@ const AdminCard = (options = {}) => {
       card.addSection(buildInitializationSection());
     } else {
       card.addSection(buildSynchronizationSection());
+      card.addSection(buildBackfillSection());
+      card.addSection(buildCalendarsSection());
+      card.addSection(buildScheduleSection());
+      card.addSection(buildSyncHistorySection());
+      card.addSection(buildStorageSection());
       card.addSection(buildResetSection());
     }
 
@@ -230,6 +573,25 @@ const AdminCard = (options = {}) => {
       .setTitle('Calendar Name')
       .setHint('Default: "ara time"');
 
+    const selectedLocation = formInput.DATASET_LOCATION || 'US';
+    const locationInput = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName('DATASET_LOCATION')
+      .setTitle('BigQuery Dataset Location');
+    DATASET_LOCATIONS.forEach(({ label, value }) => locationInput.addItem(label, value, value === selectedLocation));
+
+    const labelsInput = CardService.newTextInput()
+      .setFieldName('DATASET_LABELS')
+      .setValue(formInput.DATASET_LABELS || '')
+      .setTitle('Dataset Labels')
+      .setHint('Optional: e.g. "team=finance, env=prod" (lowercase letters, digits, "_" and "-")');
+
+    const expirationInput = CardService.newTextInput()
+      .setFieldName('PARTITION_EXPIRATION_DAYS')
+      .setValue(formInput.PARTITION_EXPIRATION_DAYS || '')
+      .setTitle('Partition Expiration (days)')
+      .setHint('Optional: time entries older than this are deleted. Leave empty to keep all data.');
+
     const setupButton = CardService.newTextButton()
       .setText('Setup')
       .setTextButtonStyle(CardService.TextButtonStyle.OUTLINED)
@@ -242,6 +604,9 @@ const AdminCard = (options = {}) => {
     section.addWidget(projectIdInput);
     section.addWidget(datasetIdInput);
     section.addWidget(calendarNameInput);
+    section.addWidget(locationInput);
+    section.addWidget(labelsInput);
+    section.addWidget(expirationInput);
     section.addWidget(setupButton);
 
     return section;
@@ -261,6 +626,8 @@ const AdminCard = (options = {}) => {
       )
     );
 
+    buildSyncProgressWidgets().forEach(widget => section.addWidget(widget));
+
     section.addWidget(
       CardService.newTextButton()
         .setText('Calendar events')
@@ -272,6 +639,20 @@ const AdminCard = (options = {}) => {
         )
     );
 
+    section.addWidget(
+      CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.DROPDOWN)
+        .setTitle('Projects sheet sync mode')
+        .setFieldName('PROJECT_SYNC_MODE')
+        .addItem('Upsert: only write changed codes, mark removed codes as retired', 'upsert', config.projectSyncMode === 'upsert')
+        .addItem('Append: add a snapshot of every row', 'append', config.projectSyncMode === 'append')
+        .setOnChangeAction(
+          CardService.newAction()
+            .setFunctionName('AdminCard')
+            .setParameters({ event: 'setProjectSyncMode' })
+        )
+    );
+
     section.addWidget(
       CardService.newTextButton()
         .setText('Projects sheet')
@@ -283,9 +664,443 @@ const AdminCard = (options = {}) => {
         )
     );
 
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setText('Sync valid rows only')
+        .setBottomLabel('Skip invalid rows of the Projects sheet, also in background syncs')
+        .setWrapText(true)
+        .setSwitchControl(
+          CardService.newSwitch()
+            .setFieldName('SKIP_INVALID_PROJECT_ROWS')
+            .setValue('true')
+            .setSelected(config.skipInvalidProjectRows)
+            .setOnChangeAction(
+              CardService.newAction()
+                .setFunctionName('AdminCard')
+                .setParameters({ event: 'setSkipInvalidRows' })
+            )
+        )
+    );
+
+    const columns = createProjectDataManager().PROJECT_COLUMNS;
+    section.addWidget(
+      CardService.newTextInput()
+        .setFieldName('COLUMN_ALIASES')
+        .setTitle('Projects sheet column aliases')
+        .setValue(Object.keys(config.columnAliases)
+          .map(key => `${columns.find(column => column.key === key).headers[0]}=${config.columnAliases[key].join(', ')}`)
+          .join('; '))
+        .setHint('Optional: other header names of the columns, e.g. "Rate=Hourly fee; Code=Task code"')
+        .setOnChangeAction(
+          CardService.newAction()
+            .setFunctionName('AdminCard')
+            .setParameters({ event: 'setColumnAliases' })
+        )
+    );
+
+    return section;
+  };
+
+  /**
+   * Builds the backfill section, shown when initialized.
+   * Re-exports every event in a date range without affecting the incremental synchronization.
+   */
+  const buildBackfillSection = () => {
+    const section = CardService.newCardSection()
+      .setHeader('Re-export date range')
+      .setCollapsible(true)
+      .setNumUncollapsibleWidgets(1);
+
+    section.addWidget(
+      CardService.newTextParagraph().setText(
+        'Re-export all events between two dates, e.g. after correcting events or adding columns. ' +
+        'The incremental synchronization is not affected.'
+      )
+    );
+
+    const now = Date.now();
+
+    section.addWidget(
+      CardService.newDatePicker()
+        .setFieldName('BACKFILL_START')
+        .setTitle('From')
+        .setValueInMsSinceEpoch(now)
+    );
+
+    section.addWidget(
+      CardService.newDatePicker()
+        .setFieldName('BACKFILL_END')
+        .setTitle('To')
+        .setValueInMsSinceEpoch(now)
+    );
+
+    section.addWidget(
+      CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.CHECK_BOX)
+        .setFieldName('BACKFILL_REPLACE')
+        .addItem('Replace existing rows in range', 'replace', false)
+    );
+
+    section.addWidget(
+      CardService.newTextButton()
+        .setText('Re-export')
+        .setTextButtonStyle(CardService.TextButtonStyle.OUTLINED)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName('AdminCard')
+            .setParameters({ event: 'backfill' })
+        )
+    );
+
+    return section;
+  };
+
+  /**
+   * Describes when an interrupted sync resumes. Add-on triggers run at most once per hour, so this is
+   * about an hour after the interruption, or with the next run of the hourly schedule.
+   * @param {Date|null} resumeAt - The expected resume time, if known.
+   * @returns {string}
+   */
+  const describeResume = (resumeAt) => {
+    return resumeAt ? `at about ${formatDateTime(resumeAt)}` : 'with the next scheduled run';
+  };
+
+  /**
+   * Builds the progress widgets of interrupted syncs that are resumed in the background.
+   * @returns {Array<CardService.DecoratedText>} - One widget per pending checkpoint or background merge.
+   */
+  const buildSyncProgressWidgets = () => {
+    const widgets = config.calendars
+      .map(calendar => ({ calendar, checkpoint: syncManager.getCheckpoint(calendar.calendarId) }))
+      .filter(({ checkpoint }) => checkpoint)
+      .map(({ calendar, checkpoint }) => CardService.newDecoratedText()
+        .setTopLabel(`In progress: ${calendar.name}`)
+        .setText(`${checkpoint.rowsSent} events exported so far`)
+        .setBottomLabel(`Checkpoint: ${formatDateTime(new Date(checkpoint.savedAt))}, resumes ${describeResume(triggerManager.getResumeTime('resumeCalendarSync'))}`));
+
+    const projectCheckpoint = createProjectDataManager().getSyncCheckpoint();
+    if (projectCheckpoint) {
+      widgets.push(CardService.newDecoratedText()
+        .setTopLabel('In progress: Projects sheet')
+        .setText(`${projectCheckpoint.rowsSent} of ${projectCheckpoint.totalRows} rows exported`)
+        .setBottomLabel(`Checkpoint: ${formatDateTime(new Date(projectCheckpoint.savedAt))}, resumes ${describeResume(triggerManager.getResumeTime('resumeProjectSync'))}`));
+    } else if (config.projectSyncMode === 'upsert' && triggerManager.getResumeTime('resumeProjectSync')) {
+      widgets.push(CardService.newDecoratedText()
+        .setTopLabel('Pending: Projects sheet')
+        .setText('Merge into BigQuery, retried once streamed rows are flushed')
+        .setBottomLabel(`Runs ${describeResume(triggerManager.getResumeTime('resumeProjectSync'))}`));
+    }
+
+    return widgets;
+  };
+
+  /**
+   * Builds the calendars section, shown when initialized.
+   * Lists the synchronized calendars and allows adding, disabling and removing calendars.
+   */
+  const buildCalendarsSection = () => {
+    const section = CardService.newCardSection().setHeader('Calendars');
+
+    config.calendars.forEach((calendar) => {
+      const isPrimary = calendar.calendarId === config.calendarId;
+      const status = calendar.enabled === false ? 'Disabled' : 'Enabled';
+
+      section.addWidget(
+        CardService.newDecoratedText()
+          .setTopLabel(isPrimary ? 'Primary calendar' : 'Calendar')
+          .setText(`${calendar.name} (${status})`)
+          .setWrapText(true)
+          .setBottomLabel(`Last sync: ${formatDateTime(calendar.lastSyncTime ? new Date(calendar.lastSyncTime) : null)}`)
+      );
+
+      const buttons = CardService.newButtonSet().addButton(
+        CardService.newTextButton()
+          .setText(calendar.enabled === false ? 'Enable' : 'Disable')
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('AdminCard')
+              .setParameters({ event: 'toggleCalendar', calendarId: calendar.calendarId })
+          )
+      );
+
+      if (!isPrimary) {
+        buttons.addButton(
+          CardService.newTextButton()
+            .setText('Remove')
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('AdminCard')
+                .setParameters({ event: 'removeCalendar', calendarId: calendar.calendarId })
+            )
+        );
+      }
+
+      section.addWidget(buttons);
+    });
+
+    const configuredIds = config.calendars.map(calendar => calendar.calendarId);
+    const availableCalendars = (Calendar.CalendarList.list().items || [])
+      .filter(calendar => !configuredIds.includes(calendar.id));
+
+    if (availableCalendars.length > 0) {
+      const calendarInput = CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.DROPDOWN)
+        .setFieldName('NEW_CALENDAR_ID')
+        .setTitle('Add calendar');
+
+      availableCalendars.forEach((calendar, index) => {
+        calendarInput.addItem(calendar.summary, calendar.id, index === 0);
+      });
+      section.addWidget(calendarInput);
+
+      section.addWidget(
+        CardService.newTextButton()
+          .setText('Add calendar')
+          .setTextButtonStyle(CardService.TextButtonStyle.OUTLINED)
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('AdminCard')
+              .setParameters({ event: 'addCalendar' })
+          )
+      );
+    }
+
+    return section;
+  };
+
+  /**
+   * Builds the schedule section, shown when initialized.
+   * Allows choosing the background sync interval and shows the last and next run times.
+   */
+  const buildScheduleSection = () => {
+    const section = CardService.newCardSection().setHeader('Schedule');
+    const schedule = triggerManager.getSchedule();
+
+    section.addWidget(
+      CardService.newTextParagraph().setText(
+        schedule.installed
+          ? `Background synchronization runs every ${schedule.intervalHours} hour(s).`
+          : 'Background synchronization is not scheduled.'
+      )
+    );
+
+    const runLabels = {
+      runScheduledCalendarSync: 'Calendar events',
+      runScheduledProjectSync: 'Projects sheet'
+    };
+
+    schedule.runs.forEach(({ handlerFunction, lastRun, nextRun }) => {
+      section.addWidget(
+        CardService.newDecoratedText()
+          .setTopLabel(runLabels[handlerFunction] || handlerFunction)
+          .setText(`Last run: ${formatDateTime(lastRun)}`)
+          .setBottomLabel(`Next run: ${formatDateTime(nextRun)}`)
+      );
+    });
+
+    const intervalInput = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName('SYNC_INTERVAL')
+      .setTitle('Interval');
+
+    const selectedInterval = schedule.intervalHours || 24;
+    triggerManager.SUPPORTED_INTERVALS.forEach((hours) => {
+      const label = hours === 24 ? 'Every day' : `Every ${hours} hour(s)`;
+      intervalInput.addItem(label, String(hours), hours === selectedInterval);
+    });
+    section.addWidget(intervalInput);
+
+    section.addWidget(
+      CardService.newTextButton()
+        .setText(schedule.installed ? 'Update schedule' : 'Schedule')
+        .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName('AdminCard')
+            .setParameters({ event: 'installSchedule' })
+        )
+    );
+
+    if (schedule.installed) {
+      section.addWidget(
+        CardService.newTextButton()
+          .setText('Stop schedule')
+          .setTextButtonStyle(CardService.TextButtonStyle.OUTLINED)
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('AdminCard')
+              .setParameters({ event: 'removeSchedule' })
+          )
+      );
+    }
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setText('Daily check for unlogged time')
+        .setBottomLabel('Lists the gaps in the working hours of the previous working day on the home card')
+        .setWrapText(true)
+        .setSwitchControl(
+          CardService.newSwitch()
+            .setFieldName('GAP_CHECK')
+            .setValue('true')
+            .setSelected(triggerManager.isDailyTriggerInstalled('runDailyGapCheck'))
+            .setOnChangeAction(
+              CardService.newAction()
+                .setFunctionName('AdminCard')
+                .setParameters({ event: 'setGapCheck' })
+            )
+        )
+    );
+
+    return section;
+  };
+
+  /**
+   * Builds the sync history section, shown when initialized.
+   * Lists the most recent synchronization runs recorded in the `sync_runs` table.
+   */
+  const buildSyncHistorySection = () => {
+    const section = CardService.newCardSection().setHeader('Sync history');
+
+    let runs;
+    try {
+      runs = syncRunManager.getRecentRuns(SYNC_HISTORY_LIMIT);
+    } catch (error) {
+      console.error(`Error loading sync history: ${error.message}`);
+      section.addWidget(CardService.newTextParagraph().setText('Sync history is unavailable. Run setup again to create the "sync_runs" table.'));
+      return section;
+    }
+
+    if (runs.length === 0) {
+      section.addWidget(CardService.newTextParagraph().setText('No synchronization runs recorded yet.'));
+      return section;
+    }
+
+    const runLabels = { calendar: 'Calendar events', backfill: 'Re-export', projects: 'Projects sheet' };
+    const statusLabels = { success: 'Success', partial: 'Partial', incomplete: 'Incomplete' };
+
+    runs.forEach((run) => {
+      const outcome = run.status === 'failed'
+        ? `Failed: ${run.error_message || 'unknown error'}`
+        : `${statusLabels[run.status] || run.status}: ${run.rows_written || 0} of ${run.rows_read || 0} rows written` +
+          (run.insert_errors ? `, ${run.insert_errors} rejected` : '');
+
+      section.addWidget(
+        CardService.newDecoratedText()
+          .setTopLabel(`${runLabels[run.run_type] || run.run_type}${run.calendar_id ? ` - ${getCalendarName(run.calendar_id)}` : ''} (${run.trigger_source || 'manual'})`)
+          .setText(outcome)
+          .setWrapText(true)
+          .setBottomLabel(`${formatDateTime(run.start_time)}${run.triggered_by ? ` by ${run.triggered_by}` : ''}`)
+      );
+    });
+
+    return section;
+  };
+
+  /**
+   * Builds the card listing the Projects sheet rows rejected by validation, shown before syncing.
+   * @param {Object} report - The report returned by `gasProjectInfoManager.validateRows`.
+   */
+  const buildValidationReportCard = (report) => {
+    const MAX_REPORTED_ROWS = 25;
+    const rejectedRows = report.rows.filter(row => !row.valid);
+
+    const summarySection = CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph().setText(
+        `${report.rejectedCount} of ${report.rowCount} rows of the Projects sheet are invalid. ` +
+        'Fix them in the sheet and synchronize again, or synchronize only the valid rows. ' +
+        'Syncing only the valid rows is remembered for later syncs, including background syncs.'
+      ))
+      .addWidget(
+        CardService.newTextButton()
+          .setText(`Sync ${report.validCount} valid rows only`)
+          .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('AdminCard')
+              .setParameters({ event: 'syncProjectData', skipInvalidRows: 'true' })
+          )
+      );
+
+    const rowsSection = CardService.newCardSection().setHeader('Rejected rows');
+    rejectedRows.slice(0, MAX_REPORTED_ROWS).forEach((row) => {
+      rowsSection.addWidget(
+        CardService.newDecoratedText()
+          .setTopLabel(`Row ${row.rowNumber}${row.code ? ` (${row.code})` : ''}`)
+          .setText(row.errors.join('\n'))
+          .setWrapText(true)
+      );
+    });
+
+    if (rejectedRows.length > MAX_REPORTED_ROWS) {
+      rowsSection.addWidget(CardService.newTextParagraph().setText(`...and ${rejectedRows.length - MAX_REPORTED_ROWS} more rejected rows.`));
+    }
+
+    return CardService.newCardBuilder()
+      .setHeader(CardService.newCardHeader().setTitle('Projects sheet validation'))
+      .addSection(summarySection)
+      .addSection(rowsSection)
+      .build();
+  };
+
+  /**
+   * Builds the storage section, shown when initialized.
+   */
+  const buildStorageSection = () => {
+    const section = CardService.newCardSection().setHeader('Storage');
+
+    section.addWidget(
+      CardService.newTextParagraph().setText(
+        'The "time" table is partitioned by day on the event start and clustered by client and project, ' +
+        'the "projects" table is clustered by id. Tables created by an earlier version can be rebuilt into this layout. ' +
+        'The rebuild runs in the background and synchronization is paused until it has finished. ' +
+        'A backup copy of every rebuilt table is kept.'
+      )
+    );
+
+    const rebuildState = createSchemaManager().getRebuildState();
+    if (rebuildState) {
+      section.addWidget(buildRebuildStateWidget(rebuildState));
+    }
+
+    const rebuildInProgress = isRebuildInProgress();
+    section.addWidget(
+      CardService.newTextButton()
+        .setText('Rebuild tables')
+        .setTextButtonStyle(CardService.TextButtonStyle.OUTLINED)
+        .setDisabled(rebuildInProgress)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName('AdminCard')
+            .setParameters({ event: 'rebuildTables' })
+        )
+    );
+
     return section;
   };
 
+  /**
+   * Describes the state of the last table rebuild.
+   * @param {Object} state - The state returned by `gasSchemaManager.getRebuildState`.
+   */
+  const buildRebuildStateWidget = (state) => {
+    const rebuilt = state.results.filter(result => result.rebuilt);
+    const rebuiltText = rebuilt.map(result => `"${result.tableId}" (${result.rowCount} rows, backup "${result.backupTableId}")`).join(', ');
+
+    const descriptions = {
+      scheduled: `Scheduled ${describeResume(triggerManager.getResumeTime('runTableRebuild'))}`,
+      running: `Running since ${formatDateTime(new Date(state.startedAt))}`,
+      done: rebuilt.length > 0 ? `Rebuilt ${rebuiltText}` : 'All tables already use the partitioned and clustered layout',
+      failed: `Failed: ${state.error}`
+    };
+
+    return CardService.newDecoratedText()
+      .setTopLabel('Last rebuild')
+      .setText(descriptions[state.status])
+      .setBottomLabel(state.finishedAt ? `Finished: ${formatDateTime(new Date(state.finishedAt))}` : `Requested: ${formatDateTime(new Date(state.requestedAt))}`)
+      .setWrapText(true);
+  };
+
   /**
    * Builds the reset section, shown when initialized.
    */
@@ -295,7 +1110,7 @@ const AdminCard = (options = {}) => {
     section.addWidget(
       CardService.newTextParagraph().setText(
         'Reset Actions:\n' +
-        '- Reset Synchronization: Clears the sync token, causing a full sync next time.\n' +
+        '- Reset Synchronization: Clears the sync tokens of all calendars, causing a full sync next time.\n' +
         '- Reset Configuration: Allows re-running setup. Existing dataset/tables remain. A new spreadsheet and calendar may be created if needed.'
       )
     );
@@ -330,18 +1145,72 @@ const AdminCard = (options = {}) => {
   /**
    * Returns a success ActionResponse that also updates the card.
    * @param {string} message
+   * @param {boolean} [popToRoot=false] - Return to the Admin card from a pushed card (such as the validation report).
    */
-  const successActionResponse = (message) => {
+  const successActionResponse = (message, popToRoot = false) => {
+    const navigation = popToRoot ? CardService.newNavigation().popToRoot() : CardService.newNavigation();
     return CardService.newActionResponseBuilder()
       .setNotification(CardService.newNotification().setText(message))
       .setNavigation(
-        CardService.newNavigation().updateCard(
+        navigation.updateCard(
           AdminCard({ ...options, parameters: { state: currentState, event: null } })
         )
       )
       .build();
   };
 
+  /**
+   * Adds missing columns to the BigQuery tables before a sync.
+   * @returns {string} - A warning about incompatible schema changes to append to the notification, or an empty string.
+   */
+  const migrateSchema = () => {
+    const report = configManager.migrateSchema();
+    if (!report || report.incompatibleChanges.length === 0) {
+      return '';
+    }
+
+    return ` Schema changes need manual attention: ${createSchemaManager().describeIncompatibleChanges(report)}.`;
+  };
+
+  /**
+   * Creates the schema manager of the configured dataset.
+   */
+  const createSchemaManager = () => {
+    return gasSchemaManager({ projectId: config.projectId, datasetId: config.datasetId });
+  };
+
+  /**
+   * Checks whether the synchronization is paused for a table rebuild.
+   */
+  const isRebuildInProgress = () => createSchemaManager().isRebuildInProgress();
+
+  /**
+   * Creates the project data manager used to synchronize the Projects sheet.
+   */
+  const createProjectDataManager = () => {
+    return configManager.createProjectInfoManager({
+      syncRunManager,
+      timeBudgetMs: CARD_TIME_BUDGET_MS
+    });
+  };
+
+  /**
+   * Returns the display name of a synchronized calendar, falling back to its ID.
+   * @param {string} calendarId
+   */
+  const getCalendarName = (calendarId) => {
+    const calendar = config.calendars.find(item => item.calendarId === calendarId);
+    return calendar ? calendar.name : calendarId;
+  };
+
+  /**
+   * Formats a date in the script time zone, or returns "N/A" when no date is available.
+   * @param {Date|null} date
+   */
+  const formatDateTime = (date) => {
+    return date ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm') : 'N/A';
+  };
+
   /**
    * Returns an error ActionResponse with a notification.
    * Does not update the card to avoid losing the current state/input.
@@ -361,6 +1230,17 @@ const AdminCard = (options = {}) => {
   const eventHandlers = {
     syncEvents: handleSyncEvents,
     syncProjectData: handleSyncProjectData,
+    setProjectSyncMode: handleSetProjectSyncMode,
+    setSkipInvalidRows: handleSetSkipInvalidRows,
+    setColumnAliases: handleSetColumnAliases,
+    backfill: handleBackfill,
+    addCalendar: handleAddCalendar,
+    toggleCalendar: handleToggleCalendar,
+    removeCalendar: handleRemoveCalendar,
+    installSchedule: handleInstallSchedule,
+    removeSchedule: handleRemoveSchedule,
+    setGapCheck: handleSetGapCheck,
+    rebuildTables: handleRebuildTables,
     resetSync: handleResetSync,
     resetConfig: handleResetConfig,
     setup: handleSetup,
@@ -11,10 +11,15 @@
  *
  * Behavior:
  * - On eventParam like 'inputChangeClient', 'inputChangeProject', or 'inputChangeTask', we rebuild the card and reapply defaults.
- * - On 'updateEvent' (save), we patch the event in Calendar.
+ * - On 'updateEvent' (save), we update the event through `gasCalendarManager.updateEvent`, writing the complete
+ *   task record (code, rate, comments, company size, categories) resolved from the project catalog.
+ * - Only clients, projects and tasks that are active on the event's start date are offered. If the event is assigned
+ *   to a task that is not active on that date, the assignment is kept and flagged instead of replaced by a default.
+ * - Before saving, other events in the event's time range are looked up. If any overlap, the `OverlapWarningCard` is
+ *   pushed, which calls back with `overlapMode` `ignore` (save anyway) or `trim` (trim the event to fit).
  */
 
-/* global gasConfigManager, gasProjectInfoManager, gasBigQueryManager, gasCalendarManager, CardService, console, AdminCard, Calendar */
+/* global gasConfigManager, gasCalendarManager, CardService, console, AdminCard, Calendar, Utilities, Session, OverlapWarningCard */
 
 const EventCard = (params = {}) => {
   const {
@@ -47,11 +52,7 @@ const EventCard = (params = {}) => {
     return AdminCard(params);
   }
 
-  const { projectId, datasetId, spreadsheetId } = configManager.getConfiguration();
-  const projectInfoManager = gasProjectInfoManager({
-    spreadsheetId,
-    bigQueryManager: gasBigQueryManager({ projectId, datasetId, tableId: "projects" })
-  });
+  const projectInfoManager = configManager.createProjectInfoManager();
 
   // Fetch the existing event from Calendar
   let calendarEvent;
@@ -66,6 +67,24 @@ const EventCard = (params = {}) => {
 
   const extendedProperties = calendarEvent.extendedProperties?.shared || {};
 
+  /**
+   * Returns the start date of the event. The date of an all-day event is taken as midnight in the script time zone.
+   * @returns {Date}
+   */
+  const getEventDate = () => {
+    const start = calendarEvent.start || {};
+    if (start.dateTime) {
+      return new Date(start.dateTime);
+    }
+    if (start.date) {
+      const [year, month, day] = start.date.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    return new Date();
+  };
+
+  const eventDate = getEventDate();
+
   // eventDescription similar to HomepageCard logic
   let eventDescription = formInput.eventDescription || "";
 
@@ -82,6 +101,11 @@ const EventCard = (params = {}) => {
     eventDescription = eventDescription || calendarEvent.summary || "";
   }
 
+  // Called back from the overlap warning: the form inputs are not available there, so they are passed as parameters
+  if (parameters.overlapMode) {
+    ({ description: eventDescription, client, project, task } = JSON.parse(parameters.entry));
+  }
+
   // If user changed client, reset project and task
   if (eventParam === "inputChangeClient") {
     project = undefined;
@@ -93,33 +117,78 @@ const EventCard = (params = {}) => {
     task = undefined;
   }
 
-  const nestedItems = projectInfoManager.getActiveProjectsTree();
-  let taskDetails = { description: '', code: '', rate: '', comments: '', categories: '' };
+  const nestedItems = projectInfoManager.getActiveProjectsTree(eventDate);
+  let taskDetails = { description: '', code: '', rate: '', comments: '', budgetedHours: '', companySize: '', categories: [] };
+
+  // True while the card shows the stored assignment of the event, and that task is not active on the event date
+  let assignmentInactive = false;
+
+  /**
+   * Finds a task in a project tree.
+   * @param {Object} tree - A tree as returned by `getActiveProjectsTree` or `getNestedStructure`.
+   * @param {string} clientName - The client.
+   * @param {string} projectName - The project.
+   * @param {string} taskName - The task.
+   * @returns {Object|undefined} - The task entry, if the tree contains it.
+   */
+  const findTask = (tree, clientName, projectName, taskName) => {
+    return ((tree[clientName] || {})[projectName] || []).find(t => t.task === taskName);
+  };
 
   /** ------------------- Event Handlers ------------------- **/
   const handleUpdateEvent = () => {
     try {
-      // Patch the event on save: summary and description = eventDescription
-      const updatedEvent = {
-        summary: eventDescription,
-        description: eventDescription,
-        extendedProperties: {
-          shared: {
-            "Client": client,
-            "Project": project,
-            "Task": task
+      // Resolve the selected task, so its metadata is written to the event
+      applyDefaultSelections();
+
+      // A task missing from the catalog keeps the metadata stored in the event
+      const taskMetadata = taskDetails.task === task
+        ? {
+          code: taskDetails.code || "",
+          rate: taskDetails.rate || "",
+          comments: taskDetails.comments || "",
+          budgetedHours: taskDetails.budgetedHours || "",
+          companySize: taskDetails.companySize || "",
+          categories: taskDetails.categories || []
+        }
+        : {};
+
+      const calendarManager = gasCalendarManager({ calendarId, logManager });
+
+      // Check timed events for overlaps, unless the user already chose to save anyway or to trim
+      const eventTimes = {};
+      if (calendarEvent.start?.dateTime && calendarEvent.end?.dateTime) {
+        const startTime = new Date(calendarEvent.start.dateTime);
+        const endTime = new Date(calendarEvent.end.dateTime);
+
+        if (parameters.overlapMode === "trim") {
+          Object.assign(eventTimes, calendarManager.trimToFit(startTime, endTime, { excludeEventId: eventId }));
+        } else if (!parameters.overlapMode) {
+          const overlaps = calendarManager.findOverlaps(startTime, endTime, { excludeEventId: eventId });
+          if (overlaps.length > 0) {
+            return buildOverlapWarningResponse(calendarManager, startTime, endTime, overlaps);
           }
         }
-      };
-
-      Calendar.Events.patch(updatedEvent, calendarId, eventId);
+      }
 
-      return CardService.newActionResponseBuilder()
+      calendarManager.updateEvent(eventId, Object.assign({
+        description: eventDescription,
+        client,
+        project,
+        task,
+        // Events created outside the add-on have no original title yet
+        originalTitle: extendedProperties.OriginalTitle || calendarEvent.summary || ""
+      }, taskMetadata, eventTimes));
+
+      const response = CardService.newActionResponseBuilder()
         .setNotification(CardService.newNotification()
           .setText('Event Updated.')
           .setType(CardService.NotificationType.INFO))
-        .setStateChanged(true)
-        .build();
+        .setStateChanged(true);
+      if (parameters.overlapMode) {
+        response.setNavigation(CardService.newNavigation().popToRoot());
+      }
+      return response.build();
     } catch (error) {
       return CardService.newActionResponseBuilder()
         .setNotification(CardService.newNotification()
@@ -129,6 +198,41 @@ const EventCard = (params = {}) => {
     }
   };
 
+  /**
+   * Pushes the overlap warning for the event.
+   * @param {Object} calendarManager - The `gasCalendarManager` of the event's calendar.
+   * @param {Date} startTime - The start of the event.
+   * @param {Date} endTime - The end of the event.
+   * @param {Array<Object>} overlaps - The overlapping events returned by `gasCalendarManager.findOverlaps`.
+   * @returns {ActionResponse}
+   */
+  const buildOverlapWarningResponse = (calendarManager, startTime, endTime, overlaps) => {
+    let trimmed = null;
+    try {
+      trimmed = calendarManager.trimToFit(startTime, endTime, { excludeEventId: eventId });
+    } catch (error) {
+      logManager.log(`The event can not be trimmed: ${error.message}`);
+    }
+
+    const warningCard = OverlapWarningCard({
+      functionName: "EventCard",
+      parameters: {
+        event: "updateEvent",
+        action: "save",
+        entry: JSON.stringify({ description: eventDescription, client, project, task })
+      },
+      startTime,
+      endTime,
+      overlaps,
+      trimmed,
+      timeZone: calendarManager.getTimeZone()
+    });
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(CardService.newNavigation().pushCard(warningCard))
+      .build();
+  };
+
   // Update the card in place for input changes
   const handleInputChange = () => {
     return CardService.newActionResponseBuilder()
@@ -140,8 +244,20 @@ const EventCard = (params = {}) => {
 
   /** ------------------- Default Selection Logic ------------------- **/
   const applyDefaultSelections = () => {
-    const clientItems = projectInfoManager.getActiveClients();
-    if (clientItems.length > 0 && !client) {
+    // Keep the stored assignment when it is not active on the event date, so the user can see and fix it
+    const isStoredAssignment = !!extendedProperties.Task
+      && client === extendedProperties.Client
+      && project === extendedProperties.Project
+      && task === extendedProperties.Task;
+    assignmentInactive = isStoredAssignment && !findTask(nestedItems, client, project, task);
+
+    if (assignmentInactive) {
+      taskDetails = findTask(projectInfoManager.getNestedStructure(), client, project, task) || taskDetails;
+      return;
+    }
+
+    const clientItems = projectInfoManager.getActiveClients(eventDate);
+    if (clientItems.length > 0 && (!client || !clientItems.includes(client))) {
       client = clientItems[0];
     }
 
@@ -183,6 +299,10 @@ const EventCard = (params = {}) => {
           .setImageStyle(CardService.ImageStyle.CIRCLE)
       );
 
+    if (assignmentInactive) {
+      card.addSection(buildInactiveAssignmentSection());
+    }
+
     card.addSection(buildDescriptionSection());
     card.addSection(buildClientProjectTaskSection());
 
@@ -195,6 +315,16 @@ const EventCard = (params = {}) => {
     return card.build();
   };
 
+  const buildInactiveAssignmentSection = () => {
+    const date = Utilities.formatDate(eventDate, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    return CardService.newCardSection().addWidget(
+      CardService.newTextParagraph().setText(
+        `<b>Warning:</b> ${client} / ${project} / ${task} is not active on ${date}. ` +
+        "Choose an active task, or update the event to keep this assignment."
+      )
+    );
+  };
+
   const buildDescriptionSection = () => {
     const section = CardService.newCardSection();
     const descriptionInput = CardService.newTextInput()
@@ -208,7 +338,11 @@ const EventCard = (params = {}) => {
   const buildClientProjectTaskSection = () => {
     const section = CardService.newCardSection();
 
-    const clientItems = projectInfoManager.getActiveClients();
+    const clientItems = projectInfoManager.getActiveClients(eventDate);
+    if (assignmentInactive && !clientItems.includes(client)) {
+      clientItems.push(client);
+    }
+
     const clientInput = CardService.newSelectionInput()
       .setType(CardService.SelectionInputType.DROPDOWN)
       .setFieldName('Client')
@@ -232,6 +366,9 @@ const EventCard = (params = {}) => {
     if (client) {
       const selectedClient = nestedItems[client] || {};
       const projects = Object.keys(selectedClient);
+      if (assignmentInactive && !projects.includes(project)) {
+        projects.push(project);
+      }
 
       const projectInput = CardService.newSelectionInput()
         .setType(CardService.SelectionInputType.DROPDOWN)
@@ -248,7 +385,11 @@ const EventCard = (params = {}) => {
       });
       section.addWidget(projectInput);
 
-      const tasks = selectedClient[project] || [];
+      const tasks = (selectedClient[project] || []).slice();
+      if (assignmentInactive && !tasks.find(t => t.task === task)) {
+        tasks.push(taskDetails.task ? taskDetails : { task });
+      }
+
       if (tasks.length > 0) {
         const taskInput = CardService.newSelectionInput()
           .setType(CardService.SelectionInputType.RADIO_BUTTON)
@@ -280,7 +421,19 @@ const EventCard = (params = {}) => {
     section.addWidget(
       CardService.newDecoratedText()
         .setTopLabel("Rate")
-        .setText(taskDetails.rate || "N/A")
+        .setText(String(taskDetails.rate || "N/A"))
+    );
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel("Budgeted Hours")
+        .setText(String(taskDetails.budgetedHours || "N/A"))
+    );
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel("Company Size")
+        .setText(String(taskDetails.companySize || "N/A"))
     );
 
     section.addWidget(
@@ -292,7 +445,7 @@ const EventCard = (params = {}) => {
     section.addWidget(
       CardService.newDecoratedText()
         .setTopLabel("Categories")
-        .setText(taskDetails.categories || "N/A")
+        .setText((taskDetails.categories || []).join(", ") || "N/A")
     );
 
     return section;
@@ -10,9 +10,21 @@
  * - The first project is always selected by default if multiple projects are available or if it's not set.
  * - The first task is always selected by default if multiple tasks are available or if it's not set.
  * - This logic also applies if the client or project changes, ensuring defaults are reapplied.
+ * - Only clients, projects and tasks that are active on the selected event date are offered.
+ * - The event starts at the chosen start time and lasts the chosen duration, or until the chosen end time.
+ *   Both times are rounded to the user's rounding interval (5, 15 or 30 minutes) and are read in the user's
+ *   calendar time zone.
+ * - A timer can be started for the selected task instead. It is kept in the User Properties (see `gasTimerManager`),
+ *   so it keeps running across card reloads and sessions. Stopping it creates an event for the elapsed time;
+ *   switching to another task stops it and starts a new timer for the selected task. The event of a stopped
+ *   timer is checked for overlaps like a new event, with the same warning.
+ * - Before an event is created, existing entries in the same time range are looked up. If any overlap, the
+ *   `OverlapWarningCard` is pushed, which calls back with `overlapMode` `ignore` (save anyway) or `trim` (trim to fit).
+ * - When the daily check for unlogged time is on (see `runDailyGapCheck`), the gaps it found in the working hours
+ *   (09:00-17:00) of the previous working day are listed.
  */
 
-/* global gasConfigManager, gasProjectInfoManager, gasBigQueryManager, gasCalendarManager, CardService, console, AdminCard */
+/* global gasConfigManager, gasCalendarManager, gasTimerManager, gasGapCheckManager, CardService, Utilities, console, AdminCard, OverlapWarningCard */
 
 const HomepageCard = (options = {}) => {
   console.log(`HomepageCard called with options: ${JSON.stringify(options)}`);
@@ -22,7 +34,15 @@ const HomepageCard = (options = {}) => {
     formInput = {}
   } = options;
 
-  const { event: actionEvent, code: paramCode = "", rate: paramRate = "" } = parameters;
+  const {
+    event: actionEvent,
+    code: paramCode = "",
+    rate: paramRate = "",
+    overlapMode, // Set when called back from the overlap warning: `ignore` or `trim`
+    startMs,
+    endMs,
+    entry: entryJson
+  } = parameters;
 
   // Initialize configuration and check if app is ready
   const configManager = gasConfigManager();
@@ -31,11 +51,8 @@ const HomepageCard = (options = {}) => {
     return AdminCard(options);
   }
 
-  const { projectId, datasetId, spreadsheetId, calendarId } = configManager.getConfiguration();
-  const projectInfoManager = gasProjectInfoManager({
-    spreadsheetId,
-    bigQueryManager: gasBigQueryManager({ projectId, datasetId, tableId: "projects" })
-  });
+  const { calendarId, timeRounding } = configManager.getConfiguration();
+  const projectInfoManager = configManager.createProjectInfoManager();
 
   /** ------------------- State and Data Extraction ------------------- **/
   const eventTitle = formInput.eventTitle || "";
@@ -43,10 +60,116 @@ const HomepageCard = (options = {}) => {
   let client = formInput.Client;
   let project = formInput.Project;
   let task = formInput.Task;
-  let taskDetails = { description: '', code: '', rate: '', comments: '', categories: '' };
+  let taskDetails = { description: '', code: '', rate: '', comments: '', budgetedHours: '', companySize: '', categories: [] };
+
+  const calendarManager = gasCalendarManager({ calendarId });
+
+  /**
+   * Returns the day picked in the date picker (today if none), as midnight in the script time zone.
+   * The date picker reports midnight UTC of the picked day, so the day is taken from the UTC parts.
+   * Today is taken in the user's calendar time zone, like the default start time.
+   * @returns {Date}
+   */
+  const getSelectedDate = () => {
+    if (!formInput.eventDate || !formInput.eventDate.msSinceEpoch) {
+      const [year, month, day] = Utilities.formatDate(new Date(), calendarManager.getTimeZone(), "yyyy-MM-dd").split("-").map(Number);
+      return new Date(year, month - 1, day);
+    }
+    const picked = new Date(parseInt(formInput.eventDate.msSinceEpoch, 10));
+    return new Date(picked.getUTCFullYear(), picked.getUTCMonth(), picked.getUTCDate());
+  };
+
+  const selectedDate = getSelectedDate();
+  const nestedItems = projectInfoManager.getActiveProjectsTree(selectedDate);
 
-  const nestedItems = projectInfoManager.getActiveProjectsTree();
-  const companySize = formInput.companySize || taskDetails.companySize || "";
+  const timerManager = gasTimerManager({ calendarManager });
+  const ROUNDING_OPTIONS = [5, 15, 30];
+  const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120, 180, 240];
+  const END_TIME_DURATION = "end";
+  let rounding = timeRounding || 15;
+  const duration = formInput.duration || "60";
+
+  /**
+   * Rounds a number of minutes to the nearest multiple of the rounding interval.
+   * @param {number} minutes - Minutes since midnight.
+   * @returns {number}
+   */
+  const roundMinutes = (minutes) => Math.round(minutes / rounding) * rounding;
+
+  /**
+   * Reads a time picker, or returns the fallback if it has no value.
+   * @param {string} fieldName - The field name of the time picker.
+   * @param {number} fallback - Minutes since midnight.
+   * @returns {number} - Minutes since midnight.
+   */
+  const getTimeInput = (fieldName, fallback) => {
+    const input = formInput[fieldName];
+    if (!input || input.hours === undefined) {
+      return fallback;
+    }
+    return parseInt(input.hours, 10) * 60 + (parseInt(input.minutes, 10) || 0);
+  };
+
+  /**
+   * Returns the current time in the user's calendar time zone, rounded down to the rounding interval.
+   * @returns {number} - Minutes since midnight.
+   */
+  const getDefaultStartMinutes = () => {
+    const [hours, minutes] = Utilities.formatDate(new Date(), calendarManager.getTimeZone(), "H:m").split(":").map(Number);
+    return Math.floor((hours * 60 + minutes) / rounding) * rounding;
+  };
+
+  const startMinutes = getTimeInput("startTime", getDefaultStartMinutes());
+
+  /**
+   * Builds the start and end of the new event from the date, start time and duration or end time inputs.
+   * @returns {{startTime: Date, endTime: Date}}
+   * @throws {Error} If the end time is not after the start time.
+   */
+  const buildEventTimes = () => {
+    const roundedStart = roundMinutes(startMinutes);
+    let roundedEnd;
+
+    if (duration === END_TIME_DURATION) {
+      roundedEnd = roundMinutes(getTimeInput("endTime", startMinutes + 60));
+      if (roundedEnd <= roundedStart) {
+        throw new Error("The end time must be after the start time.");
+      }
+    } else {
+      roundedEnd = Math.max(roundMinutes(roundedStart + parseInt(duration, 10)), roundedStart + rounding);
+    }
+
+    // Minutes past midnight (or past 24:00) carry over into the hours and days
+    const day = { year: selectedDate.getFullYear(), month: selectedDate.getMonth(), day: selectedDate.getDate() };
+    return {
+      startTime: calendarManager.createDateTime(Object.assign({ minutes: roundedStart }, day)),
+      endTime: calendarManager.createDateTime(Object.assign({ minutes: roundedEnd }, day))
+    };
+  };
+
+  /**
+   * Builds the event fields of the selected task, with its metadata from the project catalog.
+   * @returns {Object} - The fields of `gasCalendarManager.createEvent`, without the start and end time.
+   */
+  const buildEntry = () => {
+    // Resolve the selected task, so its metadata is written to the event
+    applyDefaultSelections();
+
+    return {
+      description: eventDescription || "Untitled Event",
+      location: "",
+      client,
+      project,
+      task,
+      code: paramCode || taskDetails.code || "",
+      rate: paramRate || taskDetails.rate || "",
+      comments: taskDetails.comments || "",
+      budgetedHours: taskDetails.budgetedHours || "",
+      companySize: formInput.companySize || taskDetails.companySize || "",
+      categories: taskDetails.categories || [],
+      originalTitle: eventTitle
+    };
+  };
 
   /** ------------------- Event Handlers ------------------- **/
   const handleCreateEvent = () => {
@@ -55,49 +178,37 @@ const HomepageCard = (options = {}) => {
         throw new Error("No calendarId configured. Please run setup in AdminCard.");
       }
 
-      const msSinceEpoch = formInput.eventDate && formInput.eventDate.msSinceEpoch
-        ? parseInt(formInput.eventDate.msSinceEpoch, 10)
-        : Date.now();
-      const eventDate = new Date(msSinceEpoch);
-
-      const now = new Date();
-      const roundedStart = new Date(
-        eventDate.getFullYear(),
-        eventDate.getMonth(),
-        eventDate.getDate(),
-        now.getHours(),
-        0, 0, 0
-      );
-      const oneHourLater = new Date(roundedStart.getTime() + 60 * 60 * 1000);
-
-      const calendarManager = gasCalendarManager({ calendarId });
-
-      const code = paramCode || "";
-      const rate = paramRate || "";
-      const comments = taskDetails.comments || "";
-      const categoriesArray = taskDetails.categories ? [taskDetails.categories] : [];
-
-      const newEventId = calendarManager.createEvent({
-        title: eventTitle || "Untitled Event",
-        startTime: roundedStart,
-        endTime: oneHourLater,
-        description: eventDescription || "Untitled Event",
-        location: "",
-        client,
-        project,
-        task,
-        code,
-        rate,
-        comments,
-        companySize,
-        categories: categoriesArray,
-        originalTitle: eventTitle
-      });
+      let startTime;
+      let endTime;
+      let entry;
+
+      if (overlapMode) {
+        // The entry was built before the warning, since the form inputs are not available to the warning card
+        startTime = new Date(parseInt(startMs, 10));
+        endTime = new Date(parseInt(endMs, 10));
+        entry = JSON.parse(entryJson);
+        if (overlapMode === "trim") {
+          ({ startTime, endTime } = calendarManager.trimToFit(startTime, endTime));
+        }
+      } else {
+        ({ startTime, endTime } = buildEventTimes());
+        entry = buildEntry();
+
+        const overlaps = calendarManager.findOverlaps(startTime, endTime);
+        if (overlaps.length > 0) {
+          return buildOverlapWarningResponse("newEventSaveButton", startTime, endTime, entry, overlaps);
+        }
+      }
+
+      const newEventId = calendarManager.createEvent(Object.assign({ startTime, endTime }, entry));
 
       console.log(`Event created with ID: ${newEventId}`);
-      return CardService.newActionResponseBuilder()
-        .setNotification(CardService.newNotification().setText("Event created successfully!"))
-        .build();
+      const response = CardService.newActionResponseBuilder()
+        .setNotification(CardService.newNotification().setText("Event created successfully!"));
+      if (overlapMode) {
+        response.setNavigation(CardService.newNavigation().popToRoot());
+      }
+      return response.build();
     } catch (error) {
       console.error(`Error creating event: ${error.message}`);
       return CardService.newActionResponseBuilder()
@@ -106,6 +217,142 @@ const HomepageCard = (options = {}) => {
     }
   };
 
+  /**
+   * Pushes the overlap warning for a new entry, or for the entry of a timer that is stopped or switched.
+   * @param {string} eventName - The card event that saves the entry when called back from the warning.
+   * @param {Date} startTime - The start of the entry.
+   * @param {Date} endTime - The end of the entry.
+   * @param {Object|null} entry - The event fields of the entry (see `buildEntry`); for a switched timer, the task
+   *   to switch to. Null when the timer is stopped.
+   * @param {Array<Object>} overlaps - The overlapping events returned by `gasCalendarManager.findOverlaps`.
+   * @returns {ActionResponse}
+   */
+  const buildOverlapWarningResponse = (eventName, startTime, endTime, entry, overlaps) => {
+    let trimmed = null;
+    try {
+      trimmed = calendarManager.trimToFit(startTime, endTime);
+    } catch (error) {
+      console.log(`The new entry can not be trimmed: ${error.message}`);
+    }
+
+    const warningCard = OverlapWarningCard({
+      functionName: "HomepageCard",
+      parameters: {
+        event: eventName,
+        startMs: String(startTime.getTime()),
+        endMs: String(endTime.getTime()),
+        entry: JSON.stringify(entry)
+      },
+      startTime,
+      endTime,
+      overlaps,
+      trimmed,
+      timeZone: calendarManager.getTimeZone()
+    });
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(CardService.newNavigation().pushCard(warningCard))
+      .build();
+  };
+
+  /**
+   * Runs a timer action and rebuilds the card, so it shows the new state of the timer.
+   * Called back from the overlap warning, the action returns to the root card first.
+   * @param {Function} action - The timer action; returns the notification text, or an ActionResponse that
+   *   pushes the overlap warning.
+   * @returns {ActionResponse}
+   */
+  const handleTimerAction = (action) => {
+    try {
+      if (!calendarId) {
+        throw new Error("No calendarId configured. Please run setup in AdminCard.");
+      }
+
+      const result = action();
+      if (typeof result !== "string") {
+        return result;
+      }
+
+      const navigation = overlapMode ? CardService.newNavigation().popToRoot() : CardService.newNavigation();
+      return CardService.newActionResponseBuilder()
+        .setNotification(CardService.newNotification().setText(result))
+        .setNavigation(navigation.updateCard(buildUiCard()))
+        .build();
+    } catch (error) {
+      console.error(`Error updating the timer: ${error.message}`);
+      return CardService.newActionResponseBuilder()
+        .setNotification(CardService.newNotification().setText(`Failed to update the timer: ${error.message}`))
+        .build();
+    }
+  };
+
+  /**
+   * Returns the options of a timer stop or switch. Called back from the overlap warning, they repeat the
+   * original stop time, identify the timer that was stopped and carry the choice of the user.
+   * @returns {Object} - The options of `gasTimerManager.stop` and `switchTo`.
+   */
+  const getTimerStopOptions = () => {
+    if (!overlapMode) {
+      return {};
+    }
+    return {
+      overlapMode,
+      timerStartTime: new Date(parseInt(startMs, 10)),
+      endTime: new Date(parseInt(endMs, 10))
+    };
+  };
+
+  const handleStartTimer = () => handleTimerAction(() => {
+    const timer = timerManager.start(buildEntry());
+    return `Timer started for ${timer.task}.`;
+  });
+
+  const handleStopTimer = () => handleTimerAction(() => {
+    const { eventId, overlaps, timer, endTime } = timerManager.stop(getTimerStopOptions());
+    if (!eventId) {
+      return buildOverlapWarningResponse("stopTimer", new Date(timer.startTime), endTime, null, overlaps);
+    }
+    return `Timer stopped. Logged ${formatElapsed(new Date(timer.startTime), endTime)} on ${timer.task}.`;
+  });
+
+  const handleSwitchTimer = () => handleTimerAction(() => {
+    const entry = overlapMode ? JSON.parse(entryJson) : buildEntry();
+    const { eventId, overlaps, timer, endTime } = timerManager.switchTo(entry, getTimerStopOptions());
+    if (!eventId) {
+      return buildOverlapWarningResponse("switchTimer", new Date(timer.startTime), endTime, entry, overlaps);
+    }
+    return `Previous entry saved. Timer started for ${timer.task}.`;
+  });
+
+  const handleDiscardTimer = () => handleTimerAction(() => {
+    timerManager.discard();
+    return "Timer discarded.";
+  });
+
+  /**
+   * Formats the time between two dates as hours and minutes, e.g. `1h 25m`.
+   * @param {Date} start - The start.
+   * @param {Date} end - The end.
+   * @returns {string}
+   */
+  const formatElapsed = (start, end) => {
+    const minutes = Math.max(0, Math.round((end.getTime() - start.getTime()) / 60000));
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
+  const handleRoundingChange = () => {
+    try {
+      configManager.setTimeRounding(formInput.timeRounding);
+      rounding = parseInt(formInput.timeRounding, 10);
+    } catch (error) {
+      console.error(`Error saving the time rounding: ${error.message}`);
+      return CardService.newActionResponseBuilder()
+        .setNotification(CardService.newNotification().setText(`Failed to save the rounding: ${error.message}`))
+        .build();
+    }
+    return handleInputChange();
+  };
+
   const handleInputChange = () => {
     return CardService.newActionResponseBuilder()
       .setNavigation(
@@ -120,6 +367,7 @@ const HomepageCard = (options = {}) => {
     // This ensures that when the card is rebuilt (e.g. after client/project change),
     // we always have the first project and first task selected if needed.
     applyDefaultSelections();
+    const timer = timerManager.getTimer();
 
     const card = CardService.newCardBuilder()
       .setHeader(
@@ -130,14 +378,25 @@ const HomepageCard = (options = {}) => {
           .setImageStyle(CardService.ImageStyle.CIRCLE)
       );
 
+    if (timer) {
+      card.addSection(buildTimerSection(timer));
+    }
+
     card.addSection(buildEventBasicsSection());
+    card.addSection(buildEventTimeSection());
+
+    const gapsSection = buildGapsSection();
+    if (gapsSection) {
+      card.addSection(gapsSection);
+    }
+
     card.addSection(buildWorkDetailsSection());
 
     if (task) {
       card.addSection(buildTaskDetailsSection());
     }
 
-    card.addSection(buildEventActionsSection());
+    card.addSection(buildEventActionsSection(timer));
 
     return card.build();
   };
@@ -147,8 +406,9 @@ const HomepageCard = (options = {}) => {
    * Similarly, if multiple tasks exist and no task is selected, we pick the first one.
    */
   const applyDefaultSelections = () => {
-    const clientItems = projectInfoManager.getActiveClients();
-    if (clientItems.length > 0 && !client) {
+    const clientItems = projectInfoManager.getActiveClients(selectedDate);
+    // A client that is not active on a newly picked date is replaced as well
+    if (clientItems.length > 0 && (!client || !clientItems.includes(client))) {
       client = clientItems[0];
     }
 
@@ -180,10 +440,16 @@ const HomepageCard = (options = {}) => {
   const buildEventBasicsSection = () => {
     const section = CardService.newCardSection().setHeader('Event Basics');
 
+    // Keep the picked day when the card is rebuilt; the picker expects midnight UTC of that day
     const dateInput = CardService.newDatePicker()
       .setFieldName('eventDate')
       .setTitle('Event Date')
-      .setValueInMsSinceEpoch(new Date().getTime());
+      .setValueInMsSinceEpoch(Date.UTC(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate()))
+      .setOnChangeAction(
+        CardService.newAction()
+          .setFunctionName('HomepageCard')
+          .setParameters({ event: "inputChangeDate" })
+      );
     section.addWidget(dateInput);
 
     const descriptionInput = CardService.newTextInput()
@@ -192,7 +458,7 @@ const HomepageCard = (options = {}) => {
       .setValue(eventDescription);
     section.addWidget(descriptionInput);
 
-    const clientItems = projectInfoManager.getActiveClients();
+    const clientItems = projectInfoManager.getActiveClients(selectedDate);
 
     const clientInput = CardService.newSelectionInput()
       .setType(CardService.SelectionInputType.DROPDOWN)
@@ -218,6 +484,96 @@ const HomepageCard = (options = {}) => {
     return section;
   };
 
+  const buildEventTimeSection = () => {
+    const section = CardService.newCardSection().setHeader('Event Time');
+
+    const timeChangeAction = CardService.newAction()
+      .setFunctionName('HomepageCard')
+      .setParameters({ event: "inputChangeTime" });
+
+    section.addWidget(
+      CardService.newTimePicker()
+        .setFieldName('startTime')
+        .setTitle('Start Time')
+        .setHours(Math.floor(startMinutes / 60) % 24)
+        .setMinutes(startMinutes % 60)
+    );
+
+    const durationInput = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName('duration')
+      .setTitle('Duration')
+      .setOnChangeAction(timeChangeAction);
+    DURATION_OPTIONS.forEach((minutes) => {
+      const label = minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+      durationInput.addItem(label, String(minutes), String(minutes) === duration);
+    });
+    durationInput.addItem('Until end time', END_TIME_DURATION, duration === END_TIME_DURATION);
+    section.addWidget(durationInput);
+
+    if (duration === END_TIME_DURATION) {
+      const endMinutes = getTimeInput("endTime", startMinutes + 60);
+      section.addWidget(
+        CardService.newTimePicker()
+          .setFieldName('endTime')
+          .setTitle('End Time')
+          .setHours(Math.floor(endMinutes / 60) % 24)
+          .setMinutes(endMinutes % 60)
+      );
+    }
+
+    const roundingInput = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName('timeRounding')
+      .setTitle('Round times to')
+      .setOnChangeAction(
+        CardService.newAction()
+          .setFunctionName('HomepageCard')
+          .setParameters({ event: "inputChangeRounding" })
+      );
+    ROUNDING_OPTIONS.forEach((minutes) => {
+      roundingInput.addItem(`${minutes} minutes`, String(minutes), minutes === rounding);
+    });
+    section.addWidget(roundingInput);
+
+    section.addWidget(
+      CardService.newTextParagraph().setText(`Times are in ${calendarManager.getTimeZone()}.`)
+    );
+
+    return section;
+  };
+
+  /**
+   * Lists the unlogged gaps found by the last daily check (see `runDailyGapCheck`). The card only reads the
+   * stored report, so rendering it does not list the events of the calendar.
+   * @returns {CardSection|null} - The section, or null if the daily check did not run yet.
+   */
+  const buildGapsSection = () => {
+    const report = gasGapCheckManager().getReport();
+    if (!report) {
+      return null;
+    }
+
+    const timeZone = calendarManager.getTimeZone();
+    const section = CardService.newCardSection()
+      .setHeader(`Unlogged Time on ${Utilities.formatDate(report.day, timeZone, "EEE yyyy-MM-dd")}`);
+
+    if (report.gaps.length === 0) {
+      section.addWidget(CardService.newTextParagraph().setText("No gaps in the working hours of this day."));
+      return section;
+    }
+
+    report.gaps.forEach(({ startTime, endTime }) => {
+      section.addWidget(
+        CardService.newDecoratedText()
+          .setText(`${Utilities.formatDate(startTime, timeZone, "HH:mm")}–${Utilities.formatDate(endTime, timeZone, "HH:mm")}`)
+          .setBottomLabel(formatElapsed(startTime, endTime))
+      );
+    });
+
+    return section;
+  };
+
   const buildWorkDetailsSection = () => {
     const section = CardService.newCardSection().setHeader('Work Details');
 
@@ -279,7 +635,19 @@ const HomepageCard = (options = {}) => {
     section.addWidget(
       CardService.newDecoratedText()
         .setTopLabel("Rate")
-        .setText(taskDetails.rate || "N/A")
+        .setText(String(taskDetails.rate || "N/A"))
+    );
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel("Budgeted Hours")
+        .setText(String(taskDetails.budgetedHours || "N/A"))
+    );
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel("Company Size")
+        .setText(String(taskDetails.companySize || "N/A"))
     );
 
     section.addWidget(
@@ -291,13 +659,54 @@ const HomepageCard = (options = {}) => {
     section.addWidget(
       CardService.newDecoratedText()
         .setTopLabel("Categories")
-        .setText(taskDetails.categories || "N/A")
+        .setText((taskDetails.categories || []).join(", ") || "N/A")
+    );
+
+    return section;
+  };
+
+  const buildTimerSection = (timer) => {
+    const section = CardService.newCardSection().setHeader('Timer');
+    const startTime = new Date(timer.startTime);
+    const isSelectedTask = timer.client === client && timer.project === project && timer.task === task;
+
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel(`Running since ${Utilities.formatDate(startTime, calendarManager.getTimeZone(), "yyyy-MM-dd HH:mm")} (${formatElapsed(startTime, new Date())})`)
+        .setText(`${timer.client} / ${timer.project} / ${timer.task}`)
+        .setBottomLabel(timer.description || "")
+        .setWrapText(true)
+    );
+
+    const timerAction = (event) => CardService.newAction()
+      .setFunctionName("HomepageCard")
+      .setParameters({ event });
+
+    section.addWidget(
+      CardService.newButtonSet()
+        .addButton(
+          CardService.newTextButton()
+            .setText('Stop')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(timerAction("stopTimer"))
+        )
+        .addButton(
+          CardService.newTextButton()
+            .setText('Switch to Selected Task')
+            .setDisabled(!(client && project && task) || isSelectedTask)
+            .setOnClickAction(timerAction("switchTimer"))
+        )
+        .addButton(
+          CardService.newTextButton()
+            .setText('Discard')
+            .setOnClickAction(timerAction("discardTimer"))
+        )
     );
 
     return section;
   };
 
-  const buildEventActionsSection = () => {
+  const buildEventActionsSection = (timer) => {
     const section = CardService.newCardSection().setHeader('Event Actions');
 
     const isButtonEnabled = !!(client && project && task);
@@ -323,13 +732,29 @@ const HomepageCard = (options = {}) => {
       );
     }
 
-    section.addWidget(newEventSaveButton);
+    const startTimerButton = CardService.newTextButton()
+      .setText('Start Timer')
+      .setDisabled(!isButtonEnabled || !!timer)
+      .setOnClickAction(
+        CardService.newAction()
+          .setFunctionName("HomepageCard")
+          .setParameters({ event: "startTimer" })
+      );
+
+    section.addWidget(CardService.newButtonSet().addButton(newEventSaveButton).addButton(startTimerButton));
     return section;
   };
 
   /** ------------------- Event Handlers ------------------- **/
   const eventHandlers = {
     newEventSaveButton: handleCreateEvent,
+    startTimer: handleStartTimer,
+    stopTimer: handleStopTimer,
+    switchTimer: handleSwitchTimer,
+    discardTimer: handleDiscardTimer,
+    inputChangeDate: handleInputChange,
+    inputChangeTime: handleInputChange,
+    inputChangeRounding: handleRoundingChange,
     inputChangeClient: handleInputChange,
     inputChangeProject: handleInputChange,
     inputChangeTask: handleInputChange
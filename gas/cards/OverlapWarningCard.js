@@ -0,0 +1,91 @@
+/**
+ * @file OverlapWarningCard.js
+ * @description Builds the card that warns about overlapping time entries before an entry is saved.
+ * It is pushed by `HomepageCard` (for new entries and for the entry of a stopped timer) and `EventCard`, and lists
+ * the overlapping events with two options:
+ * - 'Save Anyway': saves the entry with its original times.
+ * - 'Trim to Fit': saves the entry in the longest part of its range that no other event covers.
+ *   Only offered when such a part exists.
+ *
+ * Both buttons call back the card that pushed the warning, with its parameters plus `overlapMode`
+ * (`ignore` or `trim`). Form inputs are not available to the actions of a pushed card, so the caller
+ * passes everything it needs to save the entry in `parameters`.
+ */
+
+/* global CardService, Utilities */
+
+/**
+ * @param {Object} options - The entry and its overlaps.
+ * @param {string} options.functionName - The card function called by the buttons, e.g. `HomepageCard`.
+ * @param {Object<string, string>} options.parameters - The action parameters needed to save the entry.
+ * @param {Date} options.startTime - The start of the entry.
+ * @param {Date} options.endTime - The end of the entry.
+ * @param {Array<{summary: string, startTime: Date, endTime: Date}>} options.overlaps - The overlapping events.
+ * @param {{startTime: Date, endTime: Date}|null} options.trimmed - The trimmed range, or null if the entry can not be trimmed.
+ * @param {string} options.timeZone - The time zone to show times in.
+ * @returns {Card} - The warning card.
+ */
+const OverlapWarningCard = (options) => {
+  const {
+    functionName,
+    parameters,
+    startTime,
+    endTime,
+    overlaps,
+    trimmed,
+    timeZone
+  } = options;
+
+  const formatRange = (start, end) => {
+    return `${Utilities.formatDate(start, timeZone, "yyyy-MM-dd HH:mm")}–${Utilities.formatDate(end, timeZone, "HH:mm")}`;
+  };
+
+  const buildAction = (overlapMode) => {
+    return CardService.newAction()
+      .setFunctionName(functionName)
+      .setParameters(Object.assign({}, parameters, { overlapMode }));
+  };
+
+  const section = CardService.newCardSection()
+    .addWidget(
+      CardService.newTextParagraph().setText(
+        `<b>${formatRange(startTime, endTime)}</b> overlaps ${overlaps.length} existing ${overlaps.length === 1 ? 'entry' : 'entries'}:`
+      )
+    );
+
+  overlaps.forEach((overlap) => {
+    section.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel(formatRange(overlap.startTime, overlap.endTime))
+        .setText(overlap.summary || "Untitled Event")
+        .setWrapText(true)
+    );
+  });
+
+  const trimButton = CardService.newTextButton()
+    .setText('Trim to Fit')
+    .setDisabled(!trimmed)
+    .setOnClickAction(buildAction("trim"));
+
+  section.addWidget(
+    CardService.newTextParagraph().setText(trimmed
+      ? `Trim to Fit saves the entry as ${formatRange(trimmed.startTime, trimmed.endTime)}.`
+      : "The entry can not be trimmed: other entries cover all of it.")
+  );
+
+  section.addWidget(
+    CardService.newButtonSet()
+      .addButton(
+        CardService.newTextButton()
+          .setText('Save Anyway')
+          .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+          .setOnClickAction(buildAction("ignore"))
+      )
+      .addButton(trimButton)
+  );
+
+  return CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle("Overlapping entries"))
+    .addSection(section)
+    .build();
+};
@@ -1,35 +1,62 @@
 /**
  * @file gasBigQueryManager.js
  * @description Provides methods to manage BigQuery resources such as datasets and tables.
- * This module supports creating datasets and tables, inserting rows, and deleting data based on queries.
+ * This module supports creating datasets, tables and views, migrating table schemas, inserting and
+ * merging rows, running parameterized queries, and deleting data based on queries.
  *
  * Usage Example:
  * const manager = gasBigQueryManager({ projectId: 'my-project', datasetId: 'my_dataset', tableId: 'my_table' });
- * manager.createDataset();
- * manager.createTable('my_table', schemaDefinition);
+ * manager.createDataset({ location: 'EU', labels: { team: 'finance' } });
+ * manager.createTable('my_table', schemaDefinition, { timePartitioning: { field: 'start' }, clustering: ['client'] });
+ * manager.createView('my_view', 'SELECT * FROM `my-project.my_dataset.my_table`');
+ * manager.migrateTableSchema('my_table', schemaDefinition);
  * manager.insertRows([{ id: 'row1', value: 123 }, { id: 'row2', value: 456 }]);
- * manager.deleteRows("id = 'row1'");
+ * const { failedRows } = manager.insertRows(rows, { allowPartialFailure: true });
+ * const { rows } = manager.query('SELECT * FROM `my-project.my_dataset.my_table` WHERE value > @min', { min: 100 });
+ * manager.mergeRows(['id'], [{ id: 'row1', value: 789 }], { modifiedField: 'modified_time' });
+ * manager.deleteRows('id = @id', { id: 'row1' });
  */
 
-/* global BigQuery, console */
+/* global BigQuery, Utilities, console */
 
 const gasBigQueryManager = (params = {}) => {
   const {
     projectId,
     datasetId,
-    tableId
+    tableId,
+    maxRowsPerBatch = 500,
+    maxBytesPerBatch = 5 * 1024 * 1024,
+    maxRetries = 5,
+    baseDelayMs = 1000
   } = params;
 
   if (!projectId || !datasetId) {
     throw new Error("gasBigQueryManager: projectId and datasetId are required.");
   }
 
+  /**
+   * Row error reasons returned by insertAll that may succeed when the row is sent again.
+   */
+  const RETRIABLE_ROW_REASONS = ['stopped', 'backendError', 'internalError', 'timeout'];
+
   /**
    * Creates a BigQuery dataset if it doesn't already exist.
-   * Logs a warning if the dataset already exists (HTTP 409).
-   * @throws {Error} If dataset creation fails for reasons other than already existing.
+   * If the dataset already exists (HTTP 409) in the requested location, the labels and the default partition
+   * expiration are patched onto it instead (existing labels are kept unless overwritten). An existing
+   * dataset in another location is an error, since the location of a dataset can not be changed.
+   * @param {Object} [options={}] - Dataset options.
+   * @param {string} [options.location] - The location of the dataset, e.g. `EU`, `US` or `europe-west1`.
+   *   Defaults to the BigQuery default location (`US`).
+   * @param {Object<string, string>} [options.labels] - Resource labels for the dataset.
+   * @param {number} [options.defaultPartitionExpirationMs] - Default partition expiration of partitioned tables
+   *   created in the dataset.
+   * @returns {{created: boolean, updatedFields: Array<string>}} - `created` is false if the dataset already existed;
+   *   `updatedFields` lists the properties patched onto it (`labels`, `defaultPartitionExpirationMs`).
+   * @throws {Error} If dataset creation fails for reasons other than already existing, or the existing
+   *   dataset is in another location.
    */
-  const createDataset = () => {
+  const createDataset = (options = {}) => {
+    const { location, labels, defaultPartitionExpirationMs } = options;
     const datasetResource = {
       datasetReference: {
         datasetId,
@@ -37,27 +64,66 @@ const gasBigQueryManager = (params = {}) => {
       }
     };
 
+    if (location) {
+      datasetResource.location = location;
+    }
+    if (labels && Object.keys(labels).length > 0) {
+      datasetResource.labels = labels;
+    }
+    if (defaultPartitionExpirationMs) {
+      datasetResource.defaultPartitionExpirationMs = String(defaultPartitionExpirationMs);
+    }
+
     try {
       BigQuery.Datasets.insert(datasetResource, projectId);
-      console.info(`Dataset "${datasetId}" created successfully.`);
+      console.info(`Dataset "${datasetId}" created successfully${location ? ` in ${location}` : ''}.`);
+      return { created: true, updatedFields: [] };
     } catch (error) {
-      handleGoogleJsonResponseException(error, `Dataset "${datasetId}"`);
+      if (!(error.name === 'GoogleJsonResponseException' && error.details && error.details.code === 409)) {
+        return handleGoogleJsonResponseException(error, `Dataset "${datasetId}"`);
+      }
     }
+
+    const existingDataset = getDataset();
+    if (location && existingDataset.location && existingDataset.location.toLowerCase() !== location.toLowerCase()) {
+      throw new Error(`Dataset "${datasetId}" already exists in location ${existingDataset.location}, not in ${location}. ` +
+        'The location of a dataset can not be changed; choose another dataset ID or the existing location.');
+    }
+
+    const patch = {};
+    if (datasetResource.labels) {
+      patch.labels = Object.assign({}, existingDataset.labels || {}, datasetResource.labels);
+    }
+    if (datasetResource.defaultPartitionExpirationMs) {
+      patch.defaultPartitionExpirationMs = datasetResource.defaultPartitionExpirationMs;
+    }
+
+    if (Object.keys(patch).length > 0) {
+      BigQuery.Datasets.patch(patch, projectId, datasetId);
+      console.info(`Dataset "${datasetId}" already exists. Updated its ${Object.keys(patch).join(' and ')}.`);
+    } else {
+      console.warn(`Dataset "${datasetId}" already exists.`);
+    }
+    return { created: false, updatedFields: Object.keys(patch) };
   };
 
   /**
    * Creates a BigQuery table with the given schema.
-   * Logs a warning if the table already exists (HTTP 409).
+   * Logs a warning if the table already exists (HTTP 409). The layout of an existing table is not changed;
+   * use `rebuildTable` for that.
    * @param {string} tId - The ID of the table to create.
    * @param {Array<Object>} schema - The schema definition for the table.
+   * @param {Object} [options={}] - Storage layout of the table.
+   * @param {Object} [options.timePartitioning] - `{ field, type = 'DAY', expirationMs }`: partition by a DATE or TIMESTAMP column.
+   * @param {Array<string>} [options.clustering] - Up to four columns to cluster the table by.
    * @throws {Error} If the table creation fails for reasons other than already existing.
    */
-  const createTable = (tId, schema) => {
+  const createTable = (tId, schema, options = {}) => {
     if (!tId || !schema) {
       throw new Error("gasBigQueryManager.createTable: tId and schema are required.");
     }
 
-    const tableResource = {
+    const tableResource = Object.assign({
       tableReference: {
         projectId,
         datasetId,
@@ -66,7 +132,7 @@ const gasBigQueryManager = (params = {}) => {
       schema: {
         fields: schema
       }
-    };
+    }, buildTableLayout(options));
 
     try {
       BigQuery.Tables.insert(tableResource, projectId, datasetId);
@@ -76,12 +142,312 @@ const gasBigQueryManager = (params = {}) => {
     }
   };
 
+  /**
+   * Builds the `timePartitioning` and `clustering` properties of a table resource.
+   * @param {Object} options - The layout options of `createTable`.
+   * @returns {Object} - The layout properties (empty for a plain table).
+   */
+  const buildTableLayout = ({ timePartitioning, clustering } = {}) => {
+    const layout = {};
+
+    if (timePartitioning) {
+      layout.timePartitioning = { type: timePartitioning.type || 'DAY', field: timePartitioning.field };
+      if (timePartitioning.expirationMs) {
+        layout.timePartitioning.expirationMs = String(timePartitioning.expirationMs);
+      }
+    }
+
+    if (clustering && clustering.length > 0) {
+      layout.clustering = { fields: clustering };
+    }
+
+    return layout;
+  };
+
+  /**
+   * Checks whether a table resource already has the given layout.
+   * @param {Object} table - The table resource.
+   * @param {Object} options - The layout options of `createTable`.
+   * @returns {boolean} - True if partitioning and clustering match.
+   */
+  const hasTableLayout = (table, { timePartitioning, clustering = [] } = {}) => {
+    const livePartitioning = table.timePartitioning || null;
+    const partitioningMatches = timePartitioning
+      ? Boolean(livePartitioning) && livePartitioning.field === timePartitioning.field &&
+        (livePartitioning.type || 'DAY') === (timePartitioning.type || 'DAY')
+      : !livePartitioning;
+
+    const liveClustering = (table.clustering && table.clustering.fields) || [];
+    return partitioningMatches && liveClustering.join(',') === clustering.join(',');
+  };
+
+  /**
+   * Standard SQL names of the legacy column types reported in table schemas.
+   */
+  const STANDARD_SQL_TYPES = { INTEGER: 'INT64', FLOAT: 'FLOAT64', BOOLEAN: 'BOOL' };
+
+  /**
+   * Builds the Standard SQL type of a schema field, including the `NOT NULL` of REQUIRED fields.
+   * @param {Object} field - A field of a table schema.
+   * @returns {string} - The column type, e.g. `ARRAY<STRING>` or `TIMESTAMP NOT NULL`.
+   */
+  const buildColumnType = (field) => {
+    const baseType = (field.type === 'RECORD' || field.type === 'STRUCT')
+      ? `STRUCT<${buildColumnDefinitions(field.fields)}>`
+      : STANDARD_SQL_TYPES[field.type] || field.type;
+
+    if (field.mode === 'REPEATED') {
+      return `ARRAY<${baseType}>`;
+    }
+    return field.mode === 'REQUIRED' ? `${baseType} NOT NULL` : baseType;
+  };
+
+  /**
+   * Builds the column list of a `CREATE TABLE` statement from a table schema, so that a table created from a
+   * query keeps the types and modes of the schema instead of making every column NULLABLE.
+   * @param {Array<Object>} fields - The fields of a table schema.
+   * @returns {string} - The comma-separated column definitions.
+   */
+  const buildColumnDefinitions = (fields) => {
+    return fields.map(field => `\`${field.name}\` ${buildColumnType(field)}`).join(', ');
+  };
+
+  /**
+   * Rebuilds an existing table into a new partitioning and clustering layout, keeping all rows.
+   * The rows are first copied to a backup table `<tId>_backup_<yyyyMMddHHmmss>`, which is kept after the
+   * rebuild. The table is then replaced from the backup in a single statement, so it never disappears for
+   * concurrent inserts. Both statements list the columns of the live schema, so REQUIRED columns stay REQUIRED.
+   * Right before the replace, the rows of the live table are counted again: if rows arrived after the backup
+   * was taken, the rebuild stops without touching the table. Pause the writes to the table while it runs.
+   * The partitioning column must be a TIMESTAMP.
+   *
+   * @param {string} tId - The ID of the table to rebuild.
+   * @param {Object} options - The layout options of `createTable`.
+   * @returns {{tableId: string, rebuilt: boolean, backupTableId: string|null, rowCount: number|null}} - The result.
+   *   `rebuilt` is false if the table already had the layout.
+   * @throws {Error} If the table does not exist, rows were written during the rebuild, or rows are missing after it.
+   */
+  const rebuildTable = (tId, options = {}) => {
+    const table = getTable(tId);
+    if (!table) {
+      throw new Error(`gasBigQueryManager.rebuildTable: Table "${tId}" does not exist in dataset "${datasetId}".`);
+    }
+
+    if (hasTableLayout(table, options)) {
+      console.info(`Table "${tId}" already has the requested layout. Nothing to rebuild.`);
+      return { tableId: tId, rebuilt: false, backupTableId: null, rowCount: null };
+    }
+
+    const tablePath = `\`${projectId}.${datasetId}.${tId}\``;
+    const backupTableId = `${tId}_backup_${new Date().toISOString().replace(/\D/g, '').substring(0, 14)}`;
+    const backupPath = `\`${projectId}.${datasetId}.${backupTableId}\``;
+    const columns = buildColumnDefinitions(table.schema.fields);
+    const countRows = (path) => query(`SELECT COUNT(*) AS row_count FROM ${path}`).rows[0].row_count;
+
+    query(`CREATE TABLE ${backupPath} (${columns}) AS SELECT * FROM ${tablePath}`);
+    const backupCount = countRows(backupPath);
+    console.info(`Copied ${backupCount} rows of table "${tId}" to backup table "${backupTableId}".`);
+
+    const { timePartitioning, clustering = [] } = options;
+    const layoutClauses = [];
+    if (timePartitioning) {
+      layoutClauses.push(`PARTITION BY TIMESTAMP_TRUNC(\`${timePartitioning.field}\`, ${timePartitioning.type || 'DAY'})`);
+    }
+    if (clustering.length > 0) {
+      layoutClauses.push(`CLUSTER BY ${clustering.map(field => `\`${field}\``).join(', ')}`);
+    }
+    if (timePartitioning && timePartitioning.expirationMs) {
+      layoutClauses.push(`OPTIONS (partition_expiration_days = ${timePartitioning.expirationMs / (24 * 60 * 60 * 1000)})`);
+    }
+
+    const liveCount = countRows(tablePath);
+    if (liveCount !== backupCount) {
+      throw new Error(`gasBigQueryManager.rebuildTable: Table "${tId}" has ${liveCount} rows, but ${backupCount} rows were backed up to "${backupTableId}". Rows were written during the rebuild; the table was not changed.`);
+    }
+
+    query(`CREATE OR REPLACE TABLE ${tablePath} (${columns}) ${layoutClauses.join(' ')} AS SELECT * FROM ${backupPath}`);
+    const rowCount = countRows(tablePath);
+
+    if (rowCount < backupCount) {
+      throw new Error(`gasBigQueryManager.rebuildTable: Table "${tId}" has ${rowCount} rows after the rebuild, but ${backupCount} rows were backed up to "${backupTableId}".`);
+    }
+
+    console.info(`Table "${tId}" rebuilt with ${rowCount} rows. Backup kept as "${backupTableId}".`);
+    return { tableId: tId, rebuilt: true, backupTableId, rowCount };
+  };
+
+  /**
+   * Creates a BigQuery view with the given Standard SQL query.
+   * If the view already exists (HTTP 409), its definition is updated so that it stays in sync
+   * with the query maintained in code.
+   * @param {string} vId - The ID of the view to create.
+   * @param {string} query - The Standard SQL query defining the view.
+   * @throws {Error} If the view creation or update fails.
+   */
+  const createView = (vId, query) => {
+    if (!vId || !query) {
+      throw new Error("gasBigQueryManager.createView: vId and query are required.");
+    }
+
+    const viewResource = {
+      tableReference: {
+        projectId,
+        datasetId,
+        tableId: vId
+      },
+      view: {
+        query,
+        useLegacySql: false
+      }
+    };
+
+    try {
+      BigQuery.Tables.insert(viewResource, projectId, datasetId);
+      console.info(`View "${vId}" created successfully in dataset "${datasetId}".`);
+    } catch (error) {
+      if (error.name === 'GoogleJsonResponseException' && error.details && error.details.code === 409) {
+        BigQuery.Tables.update(viewResource, projectId, datasetId, vId);
+        console.info(`View "${vId}" already exists in dataset "${datasetId}". Definition updated.`);
+        return;
+      }
+      handleGoogleJsonResponseException(error, `View "${vId}" in dataset "${datasetId}"`);
+    }
+  };
+
+  /**
+   * Retrieves the dataset resource, including its labels.
+   * @returns {Object} - The dataset resource.
+   */
+  const getDataset = () => BigQuery.Datasets.get(projectId, datasetId);
+
+  /**
+   * Adds or replaces labels on the dataset. Labels that are not passed are kept.
+   * @param {Object<string, string>} labels - Label keys and values (lowercase letters, digits, `_` and `-`).
+   */
+  const updateDatasetLabels = (labels) => {
+    const existingLabels = getDataset().labels || {};
+    BigQuery.Datasets.patch({ labels: Object.assign({}, existingLabels, labels) }, projectId, datasetId);
+    console.info(`Labels of dataset "${datasetId}" updated: ${JSON.stringify(labels)}.`);
+  };
+
+  /**
+   * Retrieves a table resource.
+   * @param {string} tId - The ID of the table.
+   * @returns {Object|null} - The table resource, or null if the table does not exist.
+   * @throws {Error} If the request fails for reasons other than the table not existing.
+   */
+  const getTable = (tId) => {
+    try {
+      return BigQuery.Tables.get(projectId, datasetId, tId);
+    } catch (error) {
+      if (error.name === 'GoogleJsonResponseException' && error.details && error.details.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Brings the schema of an existing table up to date with a schema definition.
+   * Missing columns are added (REQUIRED columns are added as NULLABLE, since existing rows have no value).
+   * Columns whose type or mode can not be changed in place are reported and left untouched.
+   * Columns that only exist in the live table are kept.
+   *
+   * @param {string} tId - The ID of the table to migrate.
+   * @param {Array<Object>} schema - The schema definition for the table.
+   * @returns {Object} - `{ tableId, exists, addedFields: Array<string>, incompatibleChanges: Array<{ name, expected, actual }> }`.
+   * @throws {Error} If the table can not be read or updated.
+   */
+  const migrateTableSchema = (tId, schema) => {
+    if (!tId || !schema) {
+      throw new Error("gasBigQueryManager.migrateTableSchema: tId and schema are required.");
+    }
+
+    const result = { tableId: tId, exists: false, addedFields: [], incompatibleChanges: [] };
+    const table = getTable(tId);
+    if (!table) {
+      console.warn(`Table "${tId}" does not exist in dataset "${datasetId}". Nothing to migrate.`);
+      return result;
+    }
+
+    result.exists = true;
+    const liveFields = (table.schema && table.schema.fields) || [];
+    const liveFieldsByName = new Map(liveFields.map(field => [field.name.toLowerCase(), field]));
+    const missingFields = [];
+
+    schema.forEach((field) => {
+      const liveField = liveFieldsByName.get(field.name.toLowerCase());
+      if (!liveField) {
+        missingFields.push(Object.assign({}, field, { mode: field.mode === 'REPEATED' ? 'REPEATED' : 'NULLABLE' }));
+        return;
+      }
+
+      if (!isCompatibleField(field, liveField)) {
+        result.incompatibleChanges.push({
+          name: field.name,
+          expected: `${normalizeType(field.type)} ${field.mode || 'NULLABLE'}`,
+          actual: `${normalizeType(liveField.type)} ${liveField.mode || 'NULLABLE'}`
+        });
+      }
+    });
+
+    if (missingFields.length > 0) {
+      BigQuery.Tables.patch({ schema: { fields: liveFields.concat(missingFields) } }, projectId, datasetId, tId);
+      result.addedFields = missingFields.map(field => field.name);
+      console.info(`Added columns ${result.addedFields.join(', ')} to table "${tId}" in dataset "${datasetId}".`);
+    }
+
+    result.incompatibleChanges.forEach(({ name, expected, actual }) => {
+      console.warn(`Column "${name}" of table "${tId}" is ${actual} but the schema expects ${expected}. Not changed.`);
+    });
+
+    return result;
+  };
+
+  /**
+   * Maps the Standard SQL type names to the names reported by the BigQuery API.
+   * @param {string} type - The field type.
+   * @returns {string} - The type as reported in table schemas.
+   */
+  const normalizeType = (type) => {
+    const aliases = { BOOL: 'BOOLEAN', INT64: 'INTEGER', FLOAT64: 'FLOAT', STRUCT: 'RECORD' };
+    const upperType = String(type || 'STRING').toUpperCase();
+    return aliases[upperType] || upperType;
+  };
+
+  /**
+   * Checks whether a live column can hold the values described by a schema field.
+   * A NULLABLE column is accepted where the schema says REQUIRED, since that is how such columns are added.
+   * @param {Object} field - The field from the schema definition.
+   * @param {Object} liveField - The field from the live table schema.
+   * @returns {boolean} - True if no change is needed.
+   */
+  const isCompatibleField = (field, liveField) => {
+    if (normalizeType(field.type) !== normalizeType(liveField.type)) {
+      return false;
+    }
+
+    const mode = field.mode || 'NULLABLE';
+    const liveMode = liveField.mode || 'NULLABLE';
+    return mode === liveMode || (mode === 'REQUIRED' && liveMode === 'NULLABLE');
+  };
+
   /**
    * Inserts multiple rows into a BigQuery table.
+   * Rows are split into batches that stay within the streaming insert limits (`maxRowsPerBatch` rows
+   * and `maxBytesPerBatch` bytes per request). Every row gets an `insertId`, so a batch can be resent
+   * without duplicating rows. Retriable failures (HTTP 429/5xx, rate limits, backend errors and rows
+   * stopped because another row in the request was invalid) are retried with exponential backoff.
+   *
    * @param {Array<Object>} rows - Array of row objects to insert.
-   * @throws {Error} If the insertion fails or if tableId is not set.
+   * @param {Object} [options={}] - Insert options.
+   * @param {boolean} [options.allowPartialFailure=false] - Return rejected rows in the summary instead of throwing.
+   * @returns {Object} - `{ rowCount, insertedCount, failedRows: [{ index, errors }], batches: [{ batchIndex, rowCount, insertedCount, failedCount, attempts }] }`.
+   *   `index` refers to the position of the row in `rows`.
+   * @throws {Error} If tableId is not set, a request still fails after retrying, or rows are rejected
+   *   and `allowPartialFailure` is not set.
    */
-  const insertRows = (rows) => {
+  const insertRows = (rows, options = {}) => {
     if (!tableId) {
       throw new Error("gasBigQueryManager.insertRows: tableId is not set. Unable to insert rows.");
     }
@@ -90,31 +456,357 @@ const gasBigQueryManager = (params = {}) => {
       throw new Error("gasBigQueryManager.insertRows: Rows must be an array of objects.");
     }
 
-    const insertAllData = {
-      rows: rows.map(row => ({ json: row }))
+    const { allowPartialFailure = false } = options;
+    const entries = rows.map((row, index) => ({ index, insertId: Utilities.getUuid(), json: row }));
+    const summary = { rowCount: rows.length, insertedCount: 0, failedRows: [], batches: [] };
+
+    createBatches(entries).forEach((batch, batchIndex) => {
+      const result = insertBatch(batch);
+
+      summary.insertedCount += result.insertedCount;
+      summary.failedRows.push(...result.failedRows);
+      summary.batches.push({
+        batchIndex,
+        rowCount: batch.length,
+        insertedCount: result.insertedCount,
+        failedCount: result.failedRows.length,
+        attempts: result.attempts
+      });
+
+      if (result.failedRows.length > 0 && !allowPartialFailure) {
+        console.error(`Insert Errors: ${JSON.stringify(result.failedRows)}`);
+        throw new Error(`Errors occurred while inserting rows: ${JSON.stringify(result.failedRows)}`);
+      }
+    });
+
+    if (summary.failedRows.length > 0) {
+      console.warn(`Inserted ${summary.insertedCount} of ${rows.length} rows into ${projectId}.${datasetId}.${tableId}; ${summary.failedRows.length} rejected.`);
+    } else {
+      console.info(`Successfully inserted ${rows.length} rows into ${projectId}.${datasetId}.${tableId} in ${summary.batches.length} batch(es).`);
+    }
+
+    return summary;
+  };
+
+  /**
+   * Splits insert entries into batches within the row and size limits of a streaming insert.
+   * @param {Array<Object>} entries - Entries with `index`, `insertId` and `json`.
+   * @returns {Array<Array<Object>>} - The batches.
+   */
+  const createBatches = (entries) => {
+    const batches = [];
+    let batch = [];
+    let batchBytes = 0;
+
+    entries.forEach((entry) => {
+      const entryBytes = JSON.stringify(entry.json).length + entry.insertId.length;
+
+      if (batch.length > 0 && (batch.length >= maxRowsPerBatch || batchBytes + entryBytes > maxBytesPerBatch)) {
+        batches.push(batch);
+        batch = [];
+        batchBytes = 0;
+      }
+
+      batch.push(entry);
+      batchBytes += entryBytes;
+    });
+
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+
+    return batches;
+  };
+
+  /**
+   * Inserts one batch, retrying retriable request failures and retriable rows with exponential backoff.
+   * @param {Array<Object>} batch - Entries with `index`, `insertId` and `json`.
+   * @returns {{insertedCount: number, failedRows: Array<Object>, attempts: number}} - The batch result.
+   * @throws {Error} If the request still fails after retrying, or fails with a non-retriable error.
+   */
+  const insertBatch = (batch) => {
+    let pending = batch;
+    let attempts = 0;
+    let insertedCount = 0;
+    const failedRows = [];
+
+    while (pending.length > 0) {
+      attempts += 1;
+
+      let response;
+      try {
+        response = BigQuery.Tabledata.insertAll(
+          { rows: pending.map(({ insertId, json }) => ({ insertId, json })) },
+          projectId,
+          datasetId,
+          tableId
+        );
+      } catch (error) {
+        if (attempts <= maxRetries && isRetriableError(error)) {
+          console.warn(`Insert request failed (attempt ${attempts}), retrying: ${error.message}`);
+          Utilities.sleep(getBackoffDelay(attempts));
+          continue;
+        }
+        console.error(`Error inserting rows: ${error.message}`);
+        throw error;
+      }
+
+      const errorsByPosition = new Map();
+      (response.insertErrors || []).forEach(({ index, errors = [] }) => {
+        errorsByPosition.set(index, (errorsByPosition.get(index) || []).concat(errors));
+      });
+
+      insertedCount += pending.length - errorsByPosition.size;
+
+      const retryable = [];
+      let onlyStopped = true;
+      pending.forEach((entry, position) => {
+        const errors = errorsByPosition.get(position);
+        if (!errors) return;
+
+        if (errors.length > 0 && errors.every(error => RETRIABLE_ROW_REASONS.includes(error.reason))) {
+          retryable.push({ entry, errors });
+          onlyStopped = onlyStopped && errors.every(error => error.reason === 'stopped');
+        } else {
+          failedRows.push({ index: entry.index, errors });
+        }
+      });
+
+      if (retryable.length > 0 && attempts > maxRetries) {
+        retryable.forEach(({ entry, errors }) => failedRows.push({ index: entry.index, errors }));
+        pending = [];
+      } else {
+        // Rows that were only stopped because another row was invalid can be resent right away
+        if (retryable.length > 0 && !onlyStopped) {
+          Utilities.sleep(getBackoffDelay(attempts));
+        }
+        pending = retryable.map(({ entry }) => entry);
+      }
+    }
+
+    return { insertedCount, failedRows, attempts };
+  };
+
+  /**
+   * Checks whether a failed request may succeed when it is sent again.
+   * @param {Error} error - The error thrown by the BigQuery service.
+   * @returns {boolean} - True for rate limits, quota bursts and server errors.
+   */
+  const isRetriableError = (error) => {
+    if (error.name === 'GoogleJsonResponseException' && error.details) {
+      const { code, errors = [] } = error.details;
+      if ([429, 500, 502, 503, 504].includes(code)) {
+        return true;
+      }
+      return code === 403 && errors.some(detail => ['rateLimitExceeded', 'backendError'].includes(detail.reason));
+    }
+    return /rate limit|backend error|service unavailable|timed out|internal error/i.test(error.message || '');
+  };
+
+  /**
+   * Returns the delay before the next attempt: exponential backoff with jitter, capped at 32 seconds.
+   * @param {number} attempt - The attempt that just failed (1-based).
+   * @returns {number} - The delay in milliseconds.
+   */
+  const getBackoffDelay = (attempt) => {
+    const delay = baseDelayMs * Math.pow(2, attempt - 1);
+    return Math.min(delay, 32000) + Math.floor(Math.random() * baseDelayMs);
+  };
+
+  /**
+   * Runs a Standard SQL query with named query parameters and returns all result rows.
+   * Parameters are referenced as `@name` in the query. Their type is derived from the value
+   * (string, integer, number, boolean, Date or an array of those), or given explicitly as
+   * `{ type: 'DATE', value: '2024-01-31' }` (arrays: `{ type: 'ARRAY<STRING>', value: [...] }`).
+   * Waits for the job to complete, pages through the results and converts every value to the
+   * JavaScript type matching its column: TIMESTAMP to Date, INTEGER, FLOAT and NUMERIC to number,
+   * BOOLEAN to boolean, REPEATED to arrays and RECORD to objects. DATE, DATETIME and TIME stay strings.
+   *
+   * @param {string} sql - The Standard SQL query.
+   * @param {Object} [parameters={}] - Query parameters by name.
+   * @param {Object} [options={}] - Query options.
+   * @param {number} [options.timeoutMs=240000] - Maximum time to wait for the job to complete.
+   * @param {number} [options.pageSize=10000] - Maximum number of rows fetched per request.
+   * @returns {{rows: Array<Object>, totalRows: number, numDmlAffectedRows: number|null, dmlStats: Object|null, jobId: string}} - The results.
+   *   `dmlStats` holds `insertedRowCount`, `updatedRowCount` and `deletedRowCount` for DML statements.
+   * @throws {Error} If the query fails or does not complete within the timeout.
+   */
+  const query = (sql, parameters = {}, options = {}) => {
+    if (!sql) {
+      throw new Error("gasBigQueryManager.query: sql is required.");
+    }
+
+    const { timeoutMs = 4 * 60 * 1000, pageSize = 10000 } = options;
+    const deadline = Date.now() + timeoutMs;
+
+    const request = {
+      query: sql,
+      useLegacySql: false,
+      parameterMode: 'NAMED',
+      queryParameters: Object.keys(parameters).map(name => buildQueryParameter(name, parameters[name])),
+      maxResults: pageSize,
+      timeoutMs: Math.min(timeoutMs, 10000)
     };
 
     try {
-      const response = BigQuery.Tabledata.insertAll(insertAllData, projectId, datasetId, tableId);
+      let response = BigQuery.Jobs.query(request, projectId);
+      const { jobId, location } = response.jobReference;
+
+      let attempt = 0;
+      while (!response.jobComplete) {
+        if (Date.now() >= deadline) {
+          throw new Error(`Query job ${jobId} did not complete within ${Math.round(timeoutMs / 1000)} seconds.`);
+        }
+        attempt += 1;
+        Utilities.sleep(Math.min(baseDelayMs * attempt, 5000));
+        response = BigQuery.Jobs.getQueryResults(projectId, jobId, { location, maxResults: pageSize, timeoutMs: 10000 });
+      }
+
+      // Only the response of Jobs.query carries dmlStats; after polling, they are read from the job itself
+      let dmlStats = response.dmlStats || null;
+      if (attempt > 0 && response.numDmlAffectedRows !== undefined) {
+        const { statistics } = BigQuery.Jobs.get(projectId, jobId, { location });
+        dmlStats = (statistics && statistics.query && statistics.query.dmlStats) || null;
+      }
+
+      const fields = (response.schema && response.schema.fields) || [];
+      const rows = (response.rows || []).map(row => convertRow(row, fields));
 
-      if (response.insertErrors && response.insertErrors.length > 0) {
-        console.error(`Insert Errors: ${JSON.stringify(response.insertErrors)}`);
-        throw new Error(`Errors occurred while inserting rows: ${JSON.stringify(response.insertErrors)}`);
+      let pageToken = response.pageToken;
+      while (pageToken) {
+        const page = BigQuery.Jobs.getQueryResults(projectId, jobId, { location, maxResults: pageSize, pageToken });
+        (page.rows || []).forEach(row => rows.push(convertRow(row, fields)));
+        pageToken = page.pageToken;
       }
 
-      console.info(`Successfully inserted ${rows.length} rows into ${projectId}.${datasetId}.${tableId}.`);
+      return {
+        rows,
+        totalRows: parseInt(response.totalRows, 10) || rows.length,
+        numDmlAffectedRows: response.numDmlAffectedRows !== undefined ? parseInt(response.numDmlAffectedRows, 10) : null,
+        dmlStats,
+        jobId
+      };
     } catch (error) {
-      console.error(`Error inserting rows: ${error.message}`);
+      console.error(`Error running query: ${error.message}`);
       throw error;
     }
   };
 
   /**
-   * Deletes rows from a BigQuery table based on a query.
-   * @param {string} whereClause - The WHERE clause to identify rows to delete.
+   * Builds a named query parameter.
+   * @param {string} name - The parameter name, without `@`.
+   * @param {*} parameter - The value, or `{ type, value }` to set the type explicitly.
+   * @returns {Object} - The QueryParameter resource.
+   */
+  const buildQueryParameter = (name, parameter) => {
+    const explicit = parameter !== null && typeof parameter === 'object' && !Array.isArray(parameter) && !(parameter instanceof Date);
+    const value = explicit ? parameter.value : parameter;
+    const type = explicit ? parameter.type.toUpperCase() : inferParameterType(value);
+
+    const arrayMatch = /^ARRAY<(\w+)>$/.exec(type);
+    if (arrayMatch) {
+      return {
+        name,
+        parameterType: { type: 'ARRAY', arrayType: { type: arrayMatch[1] } },
+        parameterValue: { arrayValues: (value || []).map(item => ({ value: formatParameterValue(item) })) }
+      };
+    }
+
+    return {
+      name,
+      parameterType: { type },
+      parameterValue: { value: formatParameterValue(value) }
+    };
+  };
+
+  /**
+   * Derives the Standard SQL type of a parameter value.
+   * @param {*} value - The parameter value.
+   * @returns {string} - The parameter type.
+   * @throws {Error} If the type can not be derived.
+   */
+  const inferParameterType = (value) => {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        throw new Error("gasBigQueryManager.query: The type of an empty array parameter must be given explicitly.");
+      }
+      return `ARRAY<${inferParameterType(value[0])}>`;
+    }
+    if (value instanceof Date) return 'TIMESTAMP';
+    if (typeof value === 'boolean') return 'BOOL';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'INT64' : 'FLOAT64';
+    if (typeof value === 'string') return 'STRING';
+    throw new Error(`gasBigQueryManager.query: Unable to derive the type of parameter value ${JSON.stringify(value)}. Pass { type, value }.`);
+  };
+
+  /**
+   * Formats a parameter value as the string expected by the API.
+   * @param {*} value - The parameter value.
+   * @returns {string|null} - The formatted value.
+   */
+  const formatParameterValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+  };
+
+  /**
+   * Converts a result row (`{ f: [{ v }] }`) into an object keyed by column name.
+   * @param {Object} row - The row as returned by the API.
+   * @param {Array<Object>} fields - The schema fields of the result.
+   * @returns {Object} - The converted row.
+   */
+  const convertRow = (row, fields) => {
+    return fields.reduce((record, field, index) => {
+      record[field.name] = convertValue(row.f[index].v, field);
+      return record;
+    }, {});
+  };
+
+  /**
+   * Converts a result value to the JavaScript type matching its schema field.
+   * @param {*} value - The value as returned by the API.
+   * @param {Object} field - The schema field.
+   * @returns {*} - The converted value.
+   */
+  const convertValue = (value, field) => {
+    if (value === null || value === undefined) {
+      return field.mode === 'REPEATED' ? [] : null;
+    }
+
+    if (field.mode === 'REPEATED') {
+      return value.map(item => convertValue(item.v, Object.assign({}, field, { mode: 'NULLABLE' })));
+    }
+
+    switch (normalizeType(field.type)) {
+      case 'TIMESTAMP':
+        return new Date(parseFloat(value) * 1000);
+      case 'INTEGER':
+        return parseInt(value, 10);
+      case 'FLOAT':
+      case 'NUMERIC':
+      case 'BIGNUMERIC':
+        return parseFloat(value);
+      case 'BOOLEAN':
+        return value === 'true';
+      case 'RECORD':
+        return convertRow(value, field.fields || []);
+      default:
+        return value;
+    }
+  };
+
+  /**
+   * Deletes rows from a BigQuery table.
+   * The condition may reference named query parameters as `@name`; pass values through `parameters`
+   * instead of pasting them into the condition.
+   *
+   * @param {string} whereClause - The condition identifying the rows to delete, e.g. `id = @id`.
+   * @param {Object} [parameters={}] - Query parameters by name (see `query`).
+   * @returns {number} - The number of rows deleted.
    * @throws {Error} If the deletion fails or if tableId is not set.
    */
-  const deleteRows = (whereClause) => {
+  const deleteRows = (whereClause, parameters = {}) => {
     if (!tableId) {
       throw new Error("gasBigQueryManager.deleteRows: tableId is not set. Unable to delete rows.");
     }
@@ -128,22 +820,181 @@ const gasBigQueryManager = (params = {}) => {
       WHERE ${whereClause};
     `;
 
-    const request = {
-      query: deleteQuery,
-      useLegacySql: false
-    };
+    try {
+      const { numDmlAffectedRows } = query(deleteQuery, parameters);
+      console.info(`Deleted ${numDmlAffectedRows} rows from ${projectId}.${datasetId}.${tableId} where ${whereClause}.`);
+      return numDmlAffectedRows || 0;
+    } catch (error) {
+      console.error(`Error deleting rows: ${error.message}`);
+      throw error;
+    }
+  };
+
+  /**
+   * Upserts rows into the table: inserts rows with new keys, updates rows whose content changed and
+   * leaves unchanged rows untouched. The rows are loaded into a temporary staging table with the schema
+   * of the table (a load job, so they are immediately visible to DML), merged with a single MERGE
+   * statement on the key fields, and the staging table is removed again.
+   *
+   * Content is compared on every column except the key fields, `ignoreFields` and `modifiedField`.
+   * NULL and FALSE count as the same value in the columns of `nullAsFalseFields`, so rows written before
+   * such a column existed are not rewritten just to fill it in.
+   * Target rows whose key is not among the rows are marked as retired when `retiredField` is set.
+   * Keys must be unique within `rows`. The MERGE fails while the table holds streamed rows that are still
+   * in the streaming buffer (see `isStreamingBufferError`).
+   *
+   * @param {Array<string>} keyFields - The columns identifying a row.
+   * @param {Array<Object>} rows - Array of row objects to merge.
+   * @param {Object} [options={}] - Merge options.
+   * @param {Array<string>} [options.ignoreFields=[]] - Columns that are neither compared nor updated, such as a creation time.
+   * @param {string} [options.modifiedField] - TIMESTAMP column set only when a row changes or is retired.
+   * @param {string} [options.retiredField] - BOOLEAN column set to TRUE on rows missing from `rows`.
+   * @param {Array<string>} [options.nullAsFalseFields=[]] - BOOLEAN columns in which NULL is compared as FALSE.
+   * @returns {{insertedCount: number, updatedCount: number}} - Rows inserted, and rows updated (including retired rows).
+   * @throws {Error} If tableId is not set, the table does not exist, or loading or merging fails.
+   */
+  const mergeRows = (keyFields, rows, options = {}) => {
+    if (!tableId) {
+      throw new Error("gasBigQueryManager.mergeRows: tableId is not set. Unable to merge rows.");
+    }
+
+    if (!Array.isArray(keyFields) || keyFields.length === 0 || !Array.isArray(rows)) {
+      throw new Error("gasBigQueryManager.mergeRows: keyFields and an array of rows are required.");
+    }
+
+    const { ignoreFields = [], modifiedField = null, retiredField = null, nullAsFalseFields = [] } = options;
+    const table = getTable(tableId);
+    if (!table) {
+      throw new Error(`gasBigQueryManager.mergeRows: Table "${tableId}" does not exist in dataset "${datasetId}".`);
+    }
+
+    const fields = table.schema.fields;
+    const columnNames = fields.map(field => field.name);
+    const compareFields = columnNames.filter(name =>
+      !keyFields.includes(name) && !ignoreFields.includes(name) && name !== modifiedField);
+    const quote = name => `\`${name}\``;
+    const compareValue = (alias, name) => nullAsFalseFields.includes(name)
+      ? `IFNULL(${alias}.${quote(name)}, FALSE) AS ${quote(name)}`
+      : `${alias}.${quote(name)}`;
+    const stagingTableId = `${tableId}_staging_${Utilities.getUuid().replace(/-/g, '').substring(0, 12)}`;
 
     try {
-      const queryResults = BigQuery.Jobs.query(request, projectId);
+      BigQuery.Tables.insert({
+        tableReference: { projectId, datasetId, tableId: stagingTableId },
+        schema: { fields: fields.map(field => Object.assign({}, field, { mode: field.mode === 'REPEATED' ? 'REPEATED' : 'NULLABLE' })) },
+        expirationTime: String(Date.now() + 60 * 60 * 1000)
+      }, projectId, datasetId);
+
+      if (rows.length > 0) {
+        loadRows(stagingTableId, rows);
+      }
 
-      if (!queryResults.jobComplete) {
-        throw new Error("Delete query did not complete successfully.");
+      const updates = compareFields.map(name => `${quote(name)} = source.${quote(name)}`);
+      if (modifiedField) {
+        updates.push(`${quote(modifiedField)} = source.${quote(modifiedField)}`);
       }
 
-      console.info(`Rows deleted successfully from ${projectId}.${datasetId}.${tableId} where ${whereClause}.`);
+      const retiredUpdates = [`${quote(retiredField)} = TRUE`];
+      if (modifiedField) {
+        retiredUpdates.push(`${quote(modifiedField)} = CURRENT_TIMESTAMP()`);
+      }
+
+      const mergeQuery = `
+        MERGE \`${projectId}.${datasetId}.${tableId}\` AS target
+        USING \`${projectId}.${datasetId}.${stagingTableId}\` AS source
+        ON ${keyFields.map(name => `target.${quote(name)} = source.${quote(name)}`).join(' AND ')}
+        ${compareFields.length > 0 ? `
+        WHEN MATCHED AND TO_JSON_STRING(STRUCT(${compareFields.map(name => compareValue('target', name)).join(', ')}))
+          != TO_JSON_STRING(STRUCT(${compareFields.map(name => compareValue('source', name)).join(', ')})) THEN
+          UPDATE SET ${updates.join(', ')}` : ''}
+        WHEN NOT MATCHED BY TARGET THEN
+          INSERT ROW
+        ${retiredField ? `
+        WHEN NOT MATCHED BY SOURCE AND IFNULL(target.${quote(retiredField)}, FALSE) = FALSE THEN
+          UPDATE SET ${retiredUpdates.join(', ')}` : ''}
+      `;
+
+      const { dmlStats } = query(mergeQuery);
+      const insertedCount = parseInt((dmlStats && dmlStats.insertedRowCount) || 0, 10);
+      const updatedCount = parseInt((dmlStats && dmlStats.updatedRowCount) || 0, 10);
+
+      console.info(`Merged ${rows.length} rows into ${projectId}.${datasetId}.${tableId}: ${insertedCount} inserted, ${updatedCount} updated.`);
+      return { insertedCount, updatedCount };
     } catch (error) {
-      console.error(`Error deleting rows: ${error.message}`);
+      console.error(`Error merging rows: ${error.message}`);
       throw error;
+    } finally {
+      try {
+        BigQuery.Tables.remove(projectId, datasetId, stagingTableId);
+      } catch (error) {
+        console.warn(`Staging table "${stagingTableId}" could not be removed and expires in an hour: ${error.message}`);
+      }
+    }
+  };
+
+  /**
+   * Appends rows to the table with a load job instead of streaming them. Unlike streamed rows, loaded
+   * rows can be changed by DML (`UPDATE`, `DELETE`, `MERGE`) right away. A load job is all or nothing.
+   * @param {Array<Object>} rows - Array of row objects to append.
+   * @returns {number} - The number of rows appended.
+   * @throws {Error} If the load job fails or if tableId is not set.
+   */
+  const appendRows = (rows) => {
+    if (!tableId) {
+      throw new Error("gasBigQueryManager.appendRows: tableId is not set. Unable to load rows.");
+    }
+
+    if (rows.length > 0) {
+      loadRows(tableId, rows, 'WRITE_APPEND');
+    }
+    return rows.length;
+  };
+
+  /**
+   * Checks if an error was raised because a DML statement touched rows that are still in the streaming buffer.
+   * Streamed rows (see `insertRows`) can only be changed by DML once BigQuery has flushed them, which can take up
+   * to 90 minutes.
+   * @param {Error} error - The error thrown by `query`.
+   * @returns {boolean}
+   */
+  const isStreamingBufferError = (error) => /streaming buffer/i.test((error && error.message) || '');
+
+  /**
+   * Loads rows into an existing table with a load job and waits for the job.
+   * @param {string} tId - The ID of the table to load into.
+   * @param {Array<Object>} rows - Array of row objects to load.
+   * @param {string} [writeDisposition='WRITE_TRUNCATE'] - `WRITE_TRUNCATE` replaces the contents of the table,
+   *   `WRITE_APPEND` adds the rows.
+   * @throws {Error} If the load job fails or does not complete in time.
+   */
+  const loadRows = (tId, rows, writeDisposition = 'WRITE_TRUNCATE') => {
+    const job = {
+      configuration: {
+        load: {
+          destinationTable: { projectId, datasetId, tableId: tId },
+          sourceFormat: 'NEWLINE_DELIMITED_JSON',
+          writeDisposition,
+          createDisposition: 'CREATE_NEVER'
+        }
+      }
+    };
+
+    const data = Utilities.newBlob(rows.map(row => JSON.stringify(row)).join('\n'), 'application/octet-stream');
+    let { jobReference, status } = BigQuery.Jobs.insert(job, projectId, data);
+    const deadline = Date.now() + 4 * 60 * 1000;
+
+    let attempt = 0;
+    while (status.state !== 'DONE') {
+      if (Date.now() >= deadline) {
+        throw new Error(`Load job ${jobReference.jobId} did not complete in time.`);
+      }
+      attempt += 1;
+      Utilities.sleep(Math.min(baseDelayMs * attempt, 5000));
+      status = BigQuery.Jobs.get(projectId, jobReference.jobId, { location: jobReference.location }).status;
+    }
+
+    if (status.errorResult) {
+      throw new Error(`Load job ${jobReference.jobId} failed: ${status.errorResult.message}`);
     }
   };
 
@@ -176,8 +1027,18 @@ const gasBigQueryManager = (params = {}) => {
   return Object.freeze({
     createDataset,
     createTable,
+    rebuildTable,
+    createView,
+    getDataset,
+    updateDatasetLabels,
+    getTable,
+    migrateTableSchema,
     insertRows,
-    deleteRows
+    appendRows,
+    query,
+    mergeRows,
+    deleteRows,
+    isStreamingBufferError
   });
 };
 
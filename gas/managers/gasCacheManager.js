@@ -0,0 +1,131 @@
+/* global CacheService, Utilities, console */
+
+/**
+ * @file gasCacheManager.js
+ * @description Stores JSON values in `CacheService` without the per-value size limit (100 KB).
+ * A value is serialized once and split into chunks stored under separate keys, plus a manifest under
+ * the key itself that lists the chunks. Every write gets its own ID, which is part of the chunk keys,
+ * so a read never combines chunks of different writes. If any chunk has been evicted, the value is
+ * treated as missing.
+ *
+ * Usage Example:
+ * const cacheManager = gasCacheManager({ cache: CacheService.getUserCache() });
+ * cacheManager.put('projectInfo', records, 3600);
+ * const records = cacheManager.get('projectInfo'); // null if missing or incomplete
+ * cacheManager.remove('projectInfo');
+ */
+
+/**
+ * gasCacheManager
+ *
+ * @param {Object} [params={}] - Parameters for initializing the cache manager.
+ * @param {Cache} [params.cache=CacheService.getUserCache()] - The cache to store values in.
+ * @param {number} [params.chunkSize=30000] - Maximum number of characters per chunk. The default keeps
+ *   chunks of multi-byte text below the size limit of a cache value.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to put, get and remove chunked values.
+ */
+const gasCacheManager = (params = {}) => {
+  const {
+    cache = CacheService.getUserCache(),
+    chunkSize = 30000,
+    logManager = console
+  } = params;
+
+  /**
+   * Returns the keys of the chunks of a write.
+   * @param {string} key - The key of the value.
+   * @param {Object} manifest - The manifest of the write: `{ writeId, chunks }`.
+   * @returns {Array<string>} - The chunk keys.
+   */
+  const getChunkKeys = (key, { writeId, chunks }) => {
+    return Array.from({ length: chunks }, (value, index) => `${key}_${writeId}_${index}`);
+  };
+
+  /**
+   * Stores a value. Failures are logged and not thrown, since the cache is only an optimization.
+   * @param {string} key - The key of the value.
+   * @param {*} value - A JSON-serializable value.
+   * @param {number} [expirationInSeconds=600] - How long the value is kept (at most 6 hours).
+   * @returns {boolean} - True if the value was stored.
+   */
+  const put = (key, value, expirationInSeconds = 600) => {
+    try {
+      const json = JSON.stringify(value);
+      const manifest = {
+        writeId: Utilities.getUuid().substring(0, 8),
+        chunks: Math.max(1, Math.ceil(json.length / chunkSize)),
+        length: json.length
+      };
+
+      const entries = getChunkKeys(key, manifest).reduce((values, chunkKey, index) => {
+        values[chunkKey] = json.substring(index * chunkSize, (index + 1) * chunkSize);
+        return values;
+      }, {});
+
+      // Chunks first: a manifest must never point to chunks that were not written
+      cache.putAll(entries, expirationInSeconds);
+      cache.put(key, JSON.stringify(manifest), expirationInSeconds);
+      return true;
+    } catch (error) {
+      logManager.warn(`gasCacheManager: Unable to cache "${key}": ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Reads a value, reading all of its chunks in a single request.
+   * @param {string} key - The key of the value.
+   * @returns {*} - The value, or null if it is missing, or any of its chunks was evicted.
+   */
+  const get = (key) => {
+    const manifestJson = cache.get(key);
+    if (!manifestJson) {
+      return null;
+    }
+
+    try {
+      const manifest = JSON.parse(manifestJson);
+      const chunkKeys = getChunkKeys(key, manifest);
+      const chunks = cache.getAll(chunkKeys);
+
+      if (chunkKeys.some(chunkKey => typeof chunks[chunkKey] !== 'string')) {
+        logManager.warn(`gasCacheManager: Chunks of "${key}" were evicted. Treating the value as missing.`);
+        return null;
+      }
+
+      const json = chunkKeys.map(chunkKey => chunks[chunkKey]).join('');
+      if (json.length !== manifest.length) {
+        logManager.warn(`gasCacheManager: Value of "${key}" is incomplete. Treating the value as missing.`);
+        return null;
+      }
+
+      return JSON.parse(json);
+    } catch (error) {
+      logManager.warn(`gasCacheManager: Unable to read "${key}": ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Removes a value and its chunks.
+   * @param {string} key - The key of the value.
+   */
+  const remove = (key) => {
+    const manifestJson = cache.get(key);
+    if (manifestJson) {
+      try {
+        cache.removeAll(getChunkKeys(key, JSON.parse(manifestJson)));
+      } catch (error) {
+        logManager.warn(`gasCacheManager: Unable to remove the chunks of "${key}": ${error.message}`);
+      }
+    }
+    cache.remove(key);
+  };
+
+  return Object.freeze({
+    put,
+    get,
+    remove
+  });
+};
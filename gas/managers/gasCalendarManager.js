@@ -1,4 +1,4 @@
-/* global Calendar, console, Session */
+/* global Calendar, console, Session, Utilities */
 
 /**
  * @file gasCalendarManager.js
@@ -9,6 +9,12 @@
  * - Updating existing events.
  * - Retrieving event information.
  * - Storing and updating extended properties for metadata.
+ * - Converting a wall-clock time in the user's calendar time zone to a `Date`.
+ * - Finding the events that overlap a time range, trimming a range to fit between them, and finding the
+ *   unlogged gaps in the working hours of a day. All-day and cancelled events are ignored.
+ *
+ * Event times are written in the user's calendar time zone (the `timezone` setting of Google Calendar),
+ * falling back to the script time zone if the setting can not be read.
  *
  * If the calendar already exists (HTTP 409), it logs a warning and treats the operation as successful,
  * returning the existing calendar's ID.
@@ -26,10 +32,12 @@
  * - Creating events in a specified Google Calendar.
  * - Updating existing events' details and extended properties.
  * - Retrieving event information by event ID.
+ * - Detecting overlapping events and unlogged gaps.
  *
  * @param {Object} params - Parameters for initializing the calendar manager.
  * @param {string} [params.calendarId] - The ID of the calendar to manage (optional).
  * @param {string} [params.calendarName] - The name of a calendar to create if needed.
+ * @param {string} [params.timeZone] - The time zone of event times. Defaults to the user's calendar time zone.
  * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
  * @returns {Object} An object with methods to manage calendar events and create a new calendar.
  */
@@ -37,10 +45,52 @@ const gasCalendarManager = (params = {}) => {
   const {
     calendarId = null,
     calendarName,
+    timeZone = null,
     logManager = console
   } = params;
 
   let activeCalendarId = calendarId;
+  let activeTimeZone = timeZone;
+
+  /**
+   * Returns the time zone of event times: the `timeZone` parameter, or the user's calendar time zone.
+   * @returns {string} - An IANA time zone ID, e.g. `Europe/Brussels`.
+   */
+  const getTimeZone = () => {
+    if (!activeTimeZone) {
+      try {
+        activeTimeZone = Calendar.Settings.get('timezone').value;
+      } catch (error) {
+        logManager.warn(`gasCalendarManager: Unable to read the calendar time zone, using the script time zone: ${error.message}`);
+      }
+      activeTimeZone = activeTimeZone || Session.getScriptTimeZone();
+    }
+    return activeTimeZone;
+  };
+
+  /**
+   * Converts a wall-clock time in the time zone of event times (see `getTimeZone`) to a `Date`.
+   *
+   * @param {Object} dateTime - The wall-clock time.
+   * @param {number} dateTime.year - The full year.
+   * @param {number} dateTime.month - The month, 0-based as in `Date`.
+   * @param {number} dateTime.day - The day of the month.
+   * @param {number} [dateTime.hours=0] - The hours (0-23).
+   * @param {number} [dateTime.minutes=0] - The minutes.
+   * @returns {Date} - The moment at which the clocks in that time zone show that time.
+   */
+  const createDateTime = ({ year, month, day, hours = 0, minutes = 0 }) => {
+    const getOffsetMs = (ms) => {
+      const offset = Utilities.formatDate(new Date(ms), getTimeZone(), 'Z'); // e.g. +0200
+      const sign = offset.charAt(0) === '-' ? -1 : 1;
+      return sign * (parseInt(offset.substring(1, 3), 10) * 60 + parseInt(offset.substring(3, 5), 10)) * 60 * 1000;
+    };
+
+    // The offset is looked up twice, so a time near a daylight saving transition gets the offset in effect at that time
+    const wallTimeMs = Date.UTC(year, month, day, hours, minutes);
+    const estimateMs = wallTimeMs - getOffsetMs(wallTimeMs);
+    return new Date(wallTimeMs - getOffsetMs(estimateMs));
+  };
 
   /**
    * Create a new event in the calendar using the Calendar advanced service.
@@ -59,6 +109,7 @@ const gasCalendarManager = (params = {}) => {
    * @param {string} [eventDetails.code=''] - Code metadata.
    * @param {string} [eventDetails.rate=''] - Rate metadata.
    * @param {string} [eventDetails.comments=''] - Comments metadata.
+   * @param {string|number} [eventDetails.budgetedHours=''] - Budgeted hours of the task, stored as a string.
    * @param {string} [eventDetails.companySize=''] - Company size metadata.
    * @param {Array} [eventDetails.categories=[]] - Categories as an array.
    * @param {string} [eventDetails.originalTitle=''] - Original title from the UI.
@@ -81,6 +132,7 @@ const gasCalendarManager = (params = {}) => {
       code = '',
       rate = '',
       comments = '',
+      budgetedHours = '',
       companySize = '',
       categories = [],
       originalTitle = ''
@@ -92,8 +144,8 @@ const gasCalendarManager = (params = {}) => {
       summary: description,
       description: description,
       location,
-      start: { dateTime: startTime.toISOString(), timeZone: 'UTC' },
-      end: { dateTime: endTime.toISOString(), timeZone: 'UTC' },
+      start: { dateTime: startTime.toISOString(), timeZone: getTimeZone() },
+      end: { dateTime: endTime.toISOString(), timeZone: getTimeZone() },
       extendedProperties: {
         shared: {
           Code: code,
@@ -102,6 +154,7 @@ const gasCalendarManager = (params = {}) => {
           Task: task,
           Rate: rate,
           Comments: comments,
+          BudgetedHours: String(budgetedHours),
           CompanySize: companySize,
           Categories: JSON.stringify(categories),
           OriginalTitle: originalTitle
@@ -117,8 +170,12 @@ const gasCalendarManager = (params = {}) => {
   /**
    * Update an existing event with new details.
    *
+   * Fields that are not given keep their current value. The extended properties are always written as a complete
+   * set, so an event created outside the add-on gets every property the first time it is updated.
+   *
    * @param {string} eventId - The ID of the event to update.
-   * @param {Object} updates - Updated event fields.
+   * @param {Object} updates - Updated event fields, named as in `createEvent`. Like there, `description` is used
+   *   as both the event summary and the event's description.
    * @throws {Error} If the event cannot be found, times are invalid, or if no calendarId is set.
    */
   const updateEvent = (eventId, updates) => {
@@ -135,14 +192,15 @@ const gasCalendarManager = (params = {}) => {
 
     if (updates.startTime && updates.endTime) {
       validateEventTimes(updates.startTime, updates.endTime);
-      resource.start = { dateTime: updates.startTime.toISOString(), timeZone: 'UTC' };
-      resource.end = { dateTime: updates.endTime.toISOString(), timeZone: 'UTC' };
+      resource.start = { dateTime: updates.startTime.toISOString(), timeZone: getTimeZone() };
+      resource.end = { dateTime: updates.endTime.toISOString(), timeZone: getTimeZone() };
     } else if (updates.startTime || updates.endTime) {
       throw new Error("gasCalendarManager.updateEvent: Both startTime and endTime must be provided to update event times.");
     }
 
     if (updates.description !== undefined) {
       resource.summary = updates.description;
+      resource.description = updates.description;
     }
 
     if (updates.location !== undefined) {
@@ -156,6 +214,7 @@ const gasCalendarManager = (params = {}) => {
     const task = updates.task !== undefined ? updates.task : sharedProps.Task || '';
     const rate = updates.rate !== undefined ? updates.rate : sharedProps.Rate || '';
     const comments = updates.comments !== undefined ? updates.comments : sharedProps.Comments || '';
+    const budgetedHours = updates.budgetedHours !== undefined ? String(updates.budgetedHours) : sharedProps.BudgetedHours || '';
     const companySize = updates.companySize !== undefined ? updates.companySize : sharedProps.CompanySize || '';
     const categories = updates.categories !== undefined ? JSON.stringify(updates.categories) : (sharedProps.Categories || JSON.stringify([]));
     const originalTitle = updates.originalTitle !== undefined ? updates.originalTitle : sharedProps.OriginalTitle || '';
@@ -168,6 +227,7 @@ const gasCalendarManager = (params = {}) => {
         Task: task,
         Rate: rate,
         Comments: comments,
+        BudgetedHours: budgetedHours,
         CompanySize: companySize,
         Categories: categories,
         OriginalTitle: originalTitle
@@ -251,6 +311,132 @@ const gasCalendarManager = (params = {}) => {
     }
   };
 
+  /**
+   * Lists the timed events of the calendar that overlap a time range, ordered by start time.
+   * @param {Date} timeMin - The start of the range.
+   * @param {Date} timeMax - The end of the range.
+   * @returns {Array<{id: string, summary: string, startTime: Date, endTime: Date}>}
+   */
+  const listTimedEvents = (timeMin, timeMax) => {
+    const events = [];
+    let pageToken;
+
+    do {
+      const response = Calendar.Events.list(activeCalendarId, {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 250,
+        pageToken
+      });
+
+      (response.items || [])
+        .filter(item => item.status !== 'cancelled' && item.start && item.start.dateTime)
+        .forEach(item => events.push({
+          id: item.id,
+          summary: item.summary || '',
+          startTime: new Date(item.start.dateTime),
+          endTime: new Date(item.end.dateTime)
+        }));
+
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+
+    return events;
+  };
+
+  /**
+   * Returns the parts of a time range that no event covers.
+   * @param {Date} startTime - The start of the range.
+   * @param {Date} endTime - The end of the range.
+   * @param {Array<{startTime: Date, endTime: Date}>} events - The events in the range, ordered by start time.
+   * @returns {Array<{startTime: Date, endTime: Date}>} - The free slots, in order.
+   */
+  const getFreeSlots = (startTime, endTime, events) => {
+    const slots = [];
+    let cursor = startTime.getTime();
+
+    events.forEach((event) => {
+      if (event.startTime.getTime() > cursor) {
+        slots.push({ startTime: new Date(cursor), endTime: new Date(Math.min(event.startTime.getTime(), endTime.getTime())) });
+      }
+      cursor = Math.max(cursor, event.endTime.getTime());
+    });
+
+    if (cursor < endTime.getTime()) {
+      slots.push({ startTime: new Date(cursor), endTime });
+    }
+
+    return slots.filter(slot => slot.endTime > slot.startTime);
+  };
+
+  /**
+   * Finds the events that overlap a time range, e.g. before creating or updating an event in it.
+   *
+   * @param {Date} startTime - The start of the range.
+   * @param {Date} endTime - The end of the range.
+   * @param {Object} [options={}] - Lookup options.
+   * @param {string} [options.excludeEventId] - An event to ignore, e.g. the event being updated.
+   * @returns {Array<{id: string, summary: string, startTime: Date, endTime: Date}>} - The overlapping events.
+   * @throws {Error} If the times are invalid, or if no calendarId is set.
+   */
+  const findOverlaps = (startTime, endTime, options = {}) => {
+    if (!activeCalendarId) {
+      throw new Error('gasCalendarManager: calendarId is required to find overlapping events.');
+    }
+    validateEventTimes(startTime, endTime);
+
+    const { excludeEventId = null } = options;
+    return listTimedEvents(startTime, endTime)
+      .filter(event => event.id !== excludeEventId && event.startTime < endTime && event.endTime > startTime);
+  };
+
+  /**
+   * Trims a time range to the longest part of it that does not overlap other events.
+   *
+   * @param {Date} startTime - The start of the range.
+   * @param {Date} endTime - The end of the range.
+   * @param {Object} [options={}] - Lookup options, as in `findOverlaps`.
+   * @returns {{startTime: Date, endTime: Date}} - The trimmed range.
+   * @throws {Error} If other events cover the whole range.
+   */
+  const trimToFit = (startTime, endTime, options = {}) => {
+    const slots = getFreeSlots(startTime, endTime, findOverlaps(startTime, endTime, options));
+    if (slots.length === 0) {
+      throw new Error('gasCalendarManager.trimToFit: Other events cover the whole time range.');
+    }
+
+    return slots.reduce((longest, slot) => (
+      slot.endTime - slot.startTime > longest.endTime - longest.startTime ? slot : longest
+    ));
+  };
+
+  /**
+   * Finds the unlogged gaps in the working hours of a day.
+   *
+   * @param {Date} day - The day; its year, month and date are read in the script time zone.
+   * @param {Object} [options={}] - Working hours, in minutes since midnight in the time zone of event times.
+   * @param {number} [options.startMinutes=540] - Start of the working day (default 09:00).
+   * @param {number} [options.endMinutes=1020] - End of the working day (default 17:00).
+   * @param {number} [options.minGapMinutes=15] - Shorter gaps are not reported.
+   * @returns {Array<{startTime: Date, endTime: Date}>} - The gaps, in order.
+   * @throws {Error} If no calendarId is set.
+   */
+  const findGaps = (day, options = {}) => {
+    if (!activeCalendarId) {
+      throw new Error('gasCalendarManager: calendarId is required to find gaps.');
+    }
+
+    const { startMinutes = 9 * 60, endMinutes = 17 * 60, minGapMinutes = 15 } = options;
+    const dayParts = { year: day.getFullYear(), month: day.getMonth(), day: day.getDate() };
+    const rangeStart = createDateTime(Object.assign({ minutes: startMinutes }, dayParts));
+    const rangeEnd = createDateTime(Object.assign({ minutes: endMinutes }, dayParts));
+
+    return getFreeSlots(rangeStart, rangeEnd, listTimedEvents(rangeStart, rangeEnd))
+      .filter(slot => slot.endTime - slot.startTime >= minGapMinutes * 60 * 1000);
+  };
+
   /**
    * Validates that the event start time is before the end time.
    *
@@ -271,6 +457,11 @@ const gasCalendarManager = (params = {}) => {
     createEvent,
     updateEvent,
     getEvent,
-    createCalendar
+    createCalendar,
+    getTimeZone,
+    createDateTime,
+    findOverlaps,
+    trimToFit,
+    findGaps
   });
 };
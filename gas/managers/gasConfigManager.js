@@ -1,4 +1,4 @@
-/* global BigQuery, Calendar, SpreadsheetApp, console */
+/* global BigQuery, Calendar, SpreadsheetApp, Session, gasBigQueryManager, gasProjectInfoManager, gasSchemaManager, console */
 
 /**
  * The gasConfigManager is responsible for managing application configuration, initialization,
@@ -13,6 +13,12 @@ const gasConfigManager = (params = {}) => {
   } = params;
 
   const CONFIG_FLAG = 'IS_INITIALIZED';
+  const CALENDARS_KEY = 'CALENDARS';
+  const PROJECT_SYNC_MODE_KEY = 'PROJECT_SYNC_MODE';
+  const TIME_ROUNDING_KEY = 'TIME_ROUNDING';
+  const TIME_ROUNDING_OPTIONS = [5, 15, 30];
+  const COLUMN_ALIASES_KEY = 'PROJECT_COLUMN_ALIASES';
+  const SKIP_INVALID_ROWS_KEY = 'PROJECT_SKIP_INVALID_ROWS';
   const TEMPLATE_SPREADSHEET_ID = '15bpKYmmfzFUqsbviv83rvMJGxwGlZD7JQ6tOklymDwQ';
 
   /**
@@ -57,6 +63,16 @@ const gasConfigManager = (params = {}) => {
         DATASET_ID: datasetId
       });
 
+      if (config.projectSyncMode) {
+        properties.setProperty(PROJECT_SYNC_MODE_KEY, config.projectSyncMode);
+      }
+
+      // Make sure the primary calendar is part of the synchronized calendars
+      const storedCalendars = JSON.parse(properties.getProperty(CALENDARS_KEY) || '[]');
+      if (!storedCalendars.some(calendar => calendar.calendarId === calendarId)) {
+        saveCalendars([{ calendarId, name: config.calendarName || calendarId, enabled: true, lastSyncTime: null }, ...storedCalendars]);
+      }
+
       setInitialized(true); // Mark as initialized
       console.log('ConfigManager: Configuration saved successfully.');
     } catch (error) {
@@ -67,7 +83,10 @@ const gasConfigManager = (params = {}) => {
 
   /**
    * Retrieves the current configuration from User Properties.
-   * @returns {Object} - The current configuration containing `spreadsheetId`, `calendarId`, `projectId`, and `datasetId`.
+   * @returns {Object} - The current configuration containing `spreadsheetId`, `calendarId`, `projectId`, `datasetId`,
+   * the list of synchronized `calendars`, the `projectSyncMode` (`append` for configurations saved before upserts existed)
+   * the `timeRounding` of new time entries in minutes (default 15), the `columnAliases` of the Projects sheet and
+   * `skipInvalidProjectRows`, set when project syncs skip invalid rows instead of failing.
    */
   const getConfiguration = () => {
     const properties = PropertiesService.getUserProperties();
@@ -80,7 +99,200 @@ const gasConfigManager = (params = {}) => {
       console.warn('ConfigManager: Configuration is incomplete.');
     }
 
-    return { spreadsheetId, calendarId, projectId, datasetId };
+    const projectSyncMode = properties.getProperty(PROJECT_SYNC_MODE_KEY) || 'append';
+    const timeRounding = parseInt(properties.getProperty(TIME_ROUNDING_KEY), 10) || 15;
+    const columnAliases = JSON.parse(properties.getProperty(COLUMN_ALIASES_KEY) || '{}');
+    const skipInvalidProjectRows = properties.getProperty(SKIP_INVALID_ROWS_KEY) === 'true';
+
+    return { spreadsheetId, calendarId, projectId, datasetId, calendars: getCalendars(), projectSyncMode, timeRounding, columnAliases, skipInvalidProjectRows };
+  };
+
+  /**
+   * Retrieves the calendars synchronized to BigQuery.
+   * Configurations saved before calendars were configurable fall back to the primary calendar.
+   * @returns {Array<Object>} - Calendars as `{ calendarId, name, enabled, lastSyncTime }`, primary calendar first.
+   */
+  const getCalendars = () => {
+    const properties = PropertiesService.getUserProperties();
+    const storedCalendars = properties.getProperty(CALENDARS_KEY);
+
+    if (storedCalendars) {
+      return JSON.parse(storedCalendars);
+    }
+
+    const calendarId = properties.getProperty('CALENDAR_ID') || defaultCalendarId;
+    return calendarId ? [{ calendarId, name: calendarId, enabled: true, lastSyncTime: null }] : [];
+  };
+
+  /**
+   * Saves the list of synchronized calendars.
+   * @param {Array<Object>} calendars - Calendars as `{ calendarId, name, enabled, lastSyncTime }`.
+   */
+  const saveCalendars = (calendars) => {
+    PropertiesService.getUserProperties().setProperty(CALENDARS_KEY, JSON.stringify(calendars));
+  };
+
+  /**
+   * Adds a calendar to the synchronized calendars.
+   * @param {Object} calendar - The calendar to add.
+   * @param {string} calendar.calendarId - The calendar ID.
+   * @param {string} [calendar.name] - A display name for the calendar.
+   * @throws {Error} If the calendar ID is missing or the calendar is already configured.
+   */
+  const addCalendar = ({ calendarId, name }) => {
+    if (!calendarId) {
+      throw new Error('Calendar ID is required to add a calendar.');
+    }
+
+    const calendars = getCalendars();
+    if (calendars.some(calendar => calendar.calendarId === calendarId)) {
+      throw new Error(`Calendar "${name || calendarId}" is already synchronized.`);
+    }
+
+    saveCalendars([...calendars, { calendarId, name: name || calendarId, enabled: true, lastSyncTime: null }]);
+    console.log(`ConfigManager: Calendar ${calendarId} added.`);
+  };
+
+  /**
+   * Removes a calendar from the synchronized calendars.
+   * The primary calendar, in which new time entries are created, cannot be removed.
+   * @param {string} calendarId - The calendar ID.
+   * @throws {Error} If the calendar is the primary calendar.
+   */
+  const removeCalendar = (calendarId) => {
+    if (calendarId === getConfiguration().calendarId) {
+      throw new Error('The primary calendar cannot be removed. Disable it instead.');
+    }
+
+    saveCalendars(getCalendars().filter(calendar => calendar.calendarId !== calendarId));
+    console.log(`ConfigManager: Calendar ${calendarId} removed.`);
+  };
+
+  /**
+   * Updates the stored fields (`name`, `enabled`, `lastSyncTime`) of a synchronized calendar.
+   * @param {string} calendarId - The calendar ID.
+   * @param {Object} updates - The fields to update.
+   * @throws {Error} If the calendar is not configured.
+   */
+  const updateCalendar = (calendarId, updates) => {
+    const calendars = getCalendars();
+    const calendar = calendars.find(item => item.calendarId === calendarId);
+
+    if (!calendar) {
+      throw new Error(`Calendar ${calendarId} is not synchronized.`);
+    }
+
+    Object.assign(calendar, updates);
+    saveCalendars(calendars);
+  };
+
+  /**
+   * Sets how the Projects sheet is synchronized to BigQuery.
+   * @param {string} mode - `append` (a snapshot of every row per sync) or `upsert` (merge on the code).
+   * @throws {Error} If the mode is not supported.
+   */
+  const setProjectSyncMode = (mode) => {
+    if (!['append', 'upsert'].includes(mode)) {
+      throw new Error(`Unsupported project sync mode "${mode}".`);
+    }
+
+    PropertiesService.getUserProperties().setProperty(PROJECT_SYNC_MODE_KEY, mode);
+    console.log(`ConfigManager: Project sync mode set to ${mode}.`);
+  };
+
+  /**
+   * Sets the interval that the start and end times of new time entries are rounded to.
+   * @param {number|string} minutes - 5, 15 or 30.
+   * @throws {Error} If the interval is not supported.
+   */
+  const setTimeRounding = (minutes) => {
+    const rounding = parseInt(minutes, 10);
+    if (!TIME_ROUNDING_OPTIONS.includes(rounding)) {
+      throw new Error(`Unsupported time rounding "${minutes}". Use one of ${TIME_ROUNDING_OPTIONS.join(', ')} minutes.`);
+    }
+
+    PropertiesService.getUserProperties().setProperty(TIME_ROUNDING_KEY, String(rounding));
+    console.log(`ConfigManager: Time rounding set to ${rounding} minutes.`);
+  };
+
+  /**
+   * Sets whether project syncs, including the background syncs, sync the valid rows of the Projects sheet and skip
+   * the invalid rows, instead of failing on the first invalid row.
+   * @param {boolean} skip - True to skip invalid rows.
+   */
+  const setSkipInvalidProjectRows = (skip) => {
+    PropertiesService.getUserProperties().setProperty(SKIP_INVALID_ROWS_KEY, skip ? 'true' : 'false');
+    console.log(`ConfigManager: Project syncs ${skip ? 'skip' : 'fail on'} invalid rows.`);
+  };
+
+  /**
+   * Sets the additional header names of the Projects sheet columns (see `gasProjectInfoManager`).
+   * @param {Object<string, Array<string>>} aliases - Header names per column key, e.g. `{ rate: ['Hourly fee'] }`.
+   *   An empty object removes all aliases.
+   * @throws {Error} If an alias is not a non-empty string.
+   */
+  const setColumnAliases = (aliases) => {
+    const invalid = Object.keys(aliases).filter(key =>
+      !Array.isArray(aliases[key]) || aliases[key].some(name => typeof name !== 'string' || !name.trim()));
+    if (invalid.length > 0) {
+      throw new Error(`Column aliases of ${invalid.join(', ')} must be lists of header names.`);
+    }
+
+    PropertiesService.getUserProperties().setProperty(COLUMN_ALIASES_KEY, JSON.stringify(aliases));
+    console.log(`ConfigManager: Column aliases set to ${JSON.stringify(aliases)}.`);
+  };
+
+  /**
+   * Creates the project info manager of the configured Projects sheet and dataset, with the configured
+   * sync mode and column aliases. Every caller uses it, so the sheet is read the same way everywhere.
+   * @param {Object} [options={}] - Additional parameters of `gasProjectInfoManager`, e.g. `syncRunManager` or `timeBudgetMs`.
+   * @returns {Object} - The project info manager.
+   */
+  const createProjectInfoManager = (options = {}) => {
+    const { spreadsheetId, projectId, datasetId, projectSyncMode, columnAliases } = getConfiguration();
+    return gasProjectInfoManager(Object.assign({
+      spreadsheetId,
+      sheetName: 'Projects',
+      bigQueryManager: gasBigQueryManager({ projectId, datasetId, tableId: 'projects' }),
+      syncMode: projectSyncMode,
+      columnAliases
+    }, options));
+  };
+
+  /**
+   * Stores the last sync time of every calendar that synchronized successfully.
+   * @param {Array<Object>} results - Per-calendar results returned by `gasSyncManager.syncCalendarToBigQuery`.
+   */
+  const recordCalendarSyncResults = (results) => {
+    const calendars = getCalendars();
+
+    results
+      .filter(result => result.syncedAt)
+      .forEach((result) => {
+        const calendar = calendars.find(item => item.calendarId === result.calendarId);
+        if (calendar) {
+          calendar.lastSyncTime = result.syncedAt.toISOString();
+        }
+      });
+
+    saveCalendars(calendars);
+  };
+
+  /**
+   * Brings the tables of the configured dataset up to date with the schema modules, and re-creates the views
+   * when they changed.
+   * Run before every sync, so that columns added in a new version reach existing tables.
+   * Failures are logged and not thrown, so a migration problem does not block the sync itself.
+   * @returns {Object|null} - The migration report of `gasSchemaManager.migrate`, or null if the migration failed.
+   */
+  const migrateSchema = () => {
+    const { projectId, datasetId } = getConfiguration();
+    try {
+      return gasSchemaManager({ projectId, datasetId, timeZone: Session.getScriptTimeZone() }).migrate();
+    } catch (error) {
+      console.error(`ConfigManager: Schema migration failed: ${error.message}`);
+      return null;
+    }
   };
 
   /**
@@ -102,12 +314,17 @@ const gasConfigManager = (params = {}) => {
   };
 
   /**
-   * Completes the entire configuration process including creating datasets, tables, calendar, and a spreadsheet copy.
+   * Completes the entire configuration process including creating datasets, tables, views, calendar, and a spreadsheet copy.
+   * Running it again on an existing dataset keeps the tables, adds missing columns and refreshes the view definitions.
    * @param {Object} config - The configuration object containing `projectId`, `datasetId`, and `calendarName`.
+   * @param {string} [config.location] - The location of the dataset (e.g. `EU`); an existing dataset must be in this location.
+   * @param {Object<string, string>} [config.labels] - Resource labels of the dataset, added to an existing dataset.
+   * @param {number} [config.partitionExpirationDays] - Default partition expiration of the dataset, in days. It also
+   *   applies to an existing dataset, for partitioned tables created after setup.
    * @returns {Object} - Status and messages for the configuration process.
    */
   const configureApp = (config) => {
-    const { projectId, datasetId = 'ara_time', calendarName = 'ara time' } = config;
+    const { projectId, datasetId = 'ara_time', calendarName = 'ara time', location, labels, partitionExpirationDays } = config;
 
     if (!projectId) {
       throw new Error('BigQuery Project ID is required.');
@@ -118,28 +335,58 @@ const gasConfigManager = (params = {}) => {
     try {
       // Step 1: Create BigQuery Dataset
       const bigQueryManager = gasBigQueryManager({ projectId, datasetId });
-      bigQueryManager.createDataset();
-      messages.push(`Dataset "${datasetId}" created successfully.`);
+      const { created, updatedFields } = bigQueryManager.createDataset({
+        location,
+        labels,
+        defaultPartitionExpirationMs: partitionExpirationDays ? partitionExpirationDays * 24 * 60 * 60 * 1000 : null
+      });
+      if (created) {
+        messages.push(`Dataset "${datasetId}" created successfully${location ? ` in ${location}` : ''}.`);
+      } else {
+        const updated = updatedFields.map(field => field === 'labels' ? 'labels' : 'default partition expiration');
+        const expirationNote = updatedFields.includes('defaultPartitionExpirationMs')
+          ? ' The partition expiration applies to tables created from now on; existing tables keep theirs.'
+          : '';
+        messages.push(`Dataset "${datasetId}" already exists${updated.length > 0 ? `; updated its ${updated.join(' and ')}` : ''}.${expirationNote}`);
+      }
 
       // Step 2: Create "time" Table
-      bigQueryManager.createTable('time', TIME_TABLE_SCHEMA);
+      bigQueryManager.createTable('time', TIME_TABLE_SCHEMA, TIME_TABLE_OPTIONS);
       messages.push('Table "time" created successfully.');
 
       // Step 3: Create "projects" Table
-      bigQueryManager.createTable('projects', PROJECT_TABLE_SCHEMA);
+      bigQueryManager.createTable('projects', PROJECT_TABLE_SCHEMA, PROJECT_TABLE_OPTIONS);
       messages.push('Table "projects" created successfully.');
 
-      // Step 4: Create Calendar
+      // Step 4: Create "sync_runs" Table
+      bigQueryManager.createTable('sync_runs', SYNC_RUN_TABLE_SCHEMA);
+      messages.push('Table "sync_runs" created successfully.');
+
+      // Step 5: Add columns missing from tables created by an earlier version
+      const schemaManager = gasSchemaManager({ projectId, datasetId, timeZone: Session.getScriptTimeZone() });
+      const schemaReport = schemaManager.migrate({ force: true });
+      if (schemaReport.addedFields.length > 0) {
+        messages.push(`Added columns: ${schemaReport.addedFields.map(({ tableId, name }) => `${tableId}.${name}`).join(', ')}.`);
+      }
+      if (schemaReport.incompatibleChanges.length > 0) {
+        messages.push(`Incompatible schema changes need manual attention: ${schemaManager.describeIncompatibleChanges(schemaReport)}.`);
+      }
+
+      // Step 6: Create or update the latest-state and reporting views (already done by a successful migration)
+      const viewIds = schemaReport.views.length > 0 ? schemaReport.views : schemaManager.createViews();
+      viewIds.forEach(viewId => messages.push(`View "${viewId}" created successfully.`));
+
+      // Step 7: Create Calendar
       const calendarManager = gasCalendarManager({ calendarName });
       const calendarId = calendarManager.createCalendar();
       messages.push(`Calendar "${calendarName}" created successfully with ID: ${calendarId}.`);
 
-      // Step 5: Create Sheet Copy
+      // Step 8: Create Sheet Copy
       const spreadsheetId = createSheetCopy();
       messages.push('Spreadsheet copied successfully.');
 
-      // Step 6: Save Configuration
-      saveConfiguration({ projectId, datasetId, calendarName, spreadsheetId, calendarId });
+      // Step 9: Save Configuration
+      saveConfiguration({ projectId, datasetId, calendarName, spreadsheetId, calendarId, projectSyncMode: 'upsert' });
 
       return { success: true, messages };
     } catch (error) {
@@ -156,7 +403,7 @@ const gasConfigManager = (params = {}) => {
   const resetConfiguration = () => {
     try {
       const properties = PropertiesService.getUserProperties();
-      const keysToDelete = ['SPREADSHEET_ID', 'CALENDAR_ID', 'PROJECT_ID', 'DATASET_ID', CONFIG_FLAG];
+      const keysToDelete = ['SPREADSHEET_ID', 'CALENDAR_ID', 'PROJECT_ID', 'DATASET_ID', CALENDARS_KEY, PROJECT_SYNC_MODE_KEY, TIME_ROUNDING_KEY, COLUMN_ALIASES_KEY, SKIP_INVALID_ROWS_KEY, CONFIG_FLAG];
       keysToDelete.forEach(key => properties.deleteProperty(key));
 
       // Reset dependent states or services if applicable
@@ -172,6 +419,17 @@ const gasConfigManager = (params = {}) => {
     setInitialized, // Set or reset the initialization flag
     saveConfiguration, // Save configuration to User Properties
     getConfiguration, // Retrieve configuration from User Properties
+    getCalendars, // Retrieve the synchronized calendars
+    addCalendar, // Add a calendar to synchronize
+    removeCalendar, // Stop synchronizing a calendar
+    updateCalendar, // Update a synchronized calendar (name, enabled flag, last sync time)
+    recordCalendarSyncResults, // Store the last sync time of synchronized calendars
+    setProjectSyncMode, // Choose between appending and upserting project rows
+    setTimeRounding, // Choose the interval that new time entries are rounded to
+    setSkipInvalidProjectRows, // Choose whether project syncs skip invalid rows
+    setColumnAliases, // Set additional header names of the Projects sheet columns
+    createProjectInfoManager, // Create the project info manager of the configured sheet and dataset
+    migrateSchema, // Add missing columns to the tables of the configured dataset
     createSheetCopy, // Copy the template spreadsheet
     configureApp, // Complete the setup process
     resetConfiguration // Reset the app configuration
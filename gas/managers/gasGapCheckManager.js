@@ -0,0 +1,94 @@
+/* global PropertiesService, console */
+
+/**
+ * @file gasGapCheckManager.js
+ * @description Checks a working day for time that was not logged and keeps the result for display.
+ * The check runs once a day from a time-driven trigger (see `runDailyGapCheck` in `triggers/gapCheck.js`),
+ * so the cards only read the stored report instead of listing the events of the calendar on every render.
+ * The report is stored in the User Properties and replaced by every check.
+ *
+ * Usage Example:
+ * const gapCheckManager = gasGapCheckManager({ calendarManager: gasCalendarManager({ calendarId }) });
+ * const report = gapCheckManager.runCheck(); // Checks the previous working day
+ * const { day, gaps } = gapCheckManager.getReport(); // null if no check ran yet
+ */
+
+/**
+ * gasGapCheckManager
+ *
+ * @param {Object} params - Parameters for initializing the gap check manager.
+ * @param {Object} [params.calendarManager] - Instance of `gasCalendarManager` that finds the gaps. Only needed by `runCheck`.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to run the check and read its report.
+ */
+const gasGapCheckManager = (params = {}) => {
+  const {
+    calendarManager,
+    logManager = console
+  } = params;
+
+  const REPORT_KEY = 'UNLOGGED_TIME_REPORT';
+
+  /**
+   * Returns the working day before a date, skipping the weekend, as midnight in the script time zone.
+   * @param {Date} date - The date to count back from.
+   * @returns {Date} - The previous working day.
+   */
+  const getPreviousWorkday = (date) => {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    while (day.getDay() === 0 || day.getDay() === 6) {
+      day.setDate(day.getDate() - 1);
+    }
+    return day;
+  };
+
+  /**
+   * Finds the unlogged gaps in the working hours of a day and stores them as the report.
+   * @param {Date} [day] - The day to check. Defaults to the previous working day, which is complete when the
+   *   daily trigger runs.
+   * @returns {{day: Date, checkedAt: Date, gaps: Array<{startTime: Date, endTime: Date}>}} - The report.
+   * @throws {Error} If no calendarManager was given, or the events can not be listed.
+   */
+  const runCheck = (day = getPreviousWorkday(new Date())) => {
+    if (!calendarManager) {
+      throw new Error('gasGapCheckManager.runCheck: calendarManager is required.');
+    }
+
+    const report = { day, checkedAt: new Date(), gaps: calendarManager.findGaps(day) };
+    PropertiesService.getUserProperties().setProperty(REPORT_KEY, JSON.stringify(report));
+    logManager.info(`gasGapCheckManager: Found ${report.gaps.length} unlogged gap(s) on ${day.toDateString()}.`);
+    return report;
+  };
+
+  /**
+   * Retrieves the report of the last check.
+   * @returns {{day: Date, checkedAt: Date, gaps: Array<{startTime: Date, endTime: Date}>}|null} - The report,
+   *   or null if no check ran yet.
+   */
+  const getReport = () => {
+    const reportJson = PropertiesService.getUserProperties().getProperty(REPORT_KEY);
+    if (!reportJson) {
+      return null;
+    }
+
+    const { day, checkedAt, gaps } = JSON.parse(reportJson);
+    return {
+      day: new Date(day),
+      checkedAt: new Date(checkedAt),
+      gaps: gaps.map(gap => ({ startTime: new Date(gap.startTime), endTime: new Date(gap.endTime) }))
+    };
+  };
+
+  /**
+   * Removes the report, e.g. when the daily check is turned off.
+   */
+  const clearReport = () => {
+    PropertiesService.getUserProperties().deleteProperty(REPORT_KEY);
+  };
+
+  return Object.freeze({
+    runCheck,
+    getReport,
+    clearReport
+  });
+};
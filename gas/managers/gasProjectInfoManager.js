@@ -1,4 +1,4 @@
-/* global CacheService, SpreadsheetApp, BigQuery, console */
+/* global CacheService, SpreadsheetApp, BigQuery, PropertiesService, gasCacheManager, console */
 
 /**
  * @file gasProjectInfoManager.js
@@ -10,10 +10,14 @@
 /**
  * The `gasProjectInfoManager` is responsible for managing project-related data stored in a Google Sheet
  * and syncing it with BigQuery. It provides caching for improved performance and utility methods to transform,
- * retrieve, and keep project information up-to-date in BigQuery.
+ * retrieve, and keep project information up-to-date in BigQuery. The cache is versioned per spreadsheet:
+ * clearing it (as every sync does) invalidates the cached data of all users.
  *
- * The Google Sheet is expected to have the following header structure:
- * Code, Client, Project, Task, Default, From, To, Rate, Description, Comments, Company size, Categories.
+ * The first row of the Google Sheet holds the column headers. Columns are mapped by header name, so they
+ * may appear in any order and extra columns are ignored. The recognized headers (matched case-insensitively,
+ * ignoring spaces and punctuation) and their default aliases are listed in `PROJECT_COLUMNS`:
+ * Code, Client, Project, Task, Default, From, To, Rate, Description, Comments, Budgeted hours, Company size, Categories.
+ * Code, Client, Project, Task, From and To are required.
  *
  * - The `Code` uniquely identifies the task with all the associated data.
  * - The template sheet ID is `15bpKYmmfzFUqsbviv83rvMJGxwGlZD7JQ6tOklymDwQ`.
@@ -23,8 +27,17 @@
  * @param {string} params.spreadsheetId - The ID of the Google Spreadsheet.
  * @param {string} [params.sheetName="Projects"] - The name of the sheet containing project data.
  * @param {string} [params.cacheKey="projectInfo"] - The key used for caching.
+ * @param {Array<string>} [params.knownCategories] - The allowed categories. Defaults to the first column of the
+ *   `Categories` sheet of the spreadsheet, if it has one; without either, categories are not checked.
+ * @param {Object<string, Array<string>>} [params.columnAliases={}] - Additional header names per column,
+ *   e.g. `{ rate: ['Hourly rate'] }`. Keys are the column keys of `PROJECT_COLUMNS`.
  * @param {number} [params.cacheExpiry=3600] - Cache expiration time in seconds (default: 1 hour).
  * @param {Object} params.bigQueryManager - Instance of the BigQuery manager for syncing data.
+ * @param {Object} [params.syncRunManager] - Instance of the sync run manager used to audit each sync.
+ * @param {number} [params.timeBudgetMs=270000] - Time a sync may run before it saves a checkpoint and stops.
+ * @param {number} [params.batchSize=500] - Number of rows sent to BigQuery per insert.
+ * @param {string} [params.syncMode="append"] - `append` adds a snapshot of every row on each sync; `upsert` merges
+ *   the rows on `id`, so only changed rows are written and codes removed from the sheet are marked as retired.
  * @returns {Object} - Methods for interacting with project data.
  */
 const gasProjectInfoManager = (params = {}) => {
@@ -32,8 +45,14 @@ const gasProjectInfoManager = (params = {}) => {
     spreadsheetId,
     sheetName = "Projects",
     cacheKey = "projectInfo",
+    columnAliases = {},
+    knownCategories = null,
     cacheExpiry = 3600,
-    bigQueryManager
+    bigQueryManager,
+    syncRunManager = null,
+    timeBudgetMs = 4.5 * 60 * 1000,
+    batchSize = 500,
+    syncMode = "append"
   } = params;
 
   if (!spreadsheetId) {
@@ -44,48 +63,138 @@ const gasProjectInfoManager = (params = {}) => {
     throw new Error("bigQueryManager is required for syncing data to BigQuery");
   }
 
+  const SYNC_CHECKPOINT_KEY = 'PROJECT_SYNC_CHECKPOINT';
+  // Longest time CacheService keeps a value; a resume that comes later starts the sync over
+  const SYNC_SNAPSHOT_EXPIRY = 6 * 60 * 60;
+  const CATEGORIES_SHEET_NAME = 'Categories';
+  // Shared by all users of the spreadsheet, so that a sync by one user invalidates the cache of everyone
+  const CACHE_VERSION_KEY = `PROJECT_CACHE_VERSION_${spreadsheetId}`;
+
+  /**
+   * The columns of the Projects sheet: the key used in records, the header names that map to it,
+   * and whether the sheet must have the column.
+   */
+  const PROJECT_COLUMNS = [
+    { key: 'code', headers: ['Code', 'ID'], required: true },
+    { key: 'client', headers: ['Client', 'Customer'], required: true },
+    { key: 'project', headers: ['Project'], required: true },
+    { key: 'task', headers: ['Task'], required: true },
+    { key: 'isDefault', headers: ['Default', 'Is default'], required: false },
+    { key: 'from', headers: ['From', 'Start', 'Start date'], required: true },
+    { key: 'to', headers: ['To', 'End', 'End date'], required: true },
+    { key: 'rate', headers: ['Rate', 'Hourly rate'], required: false },
+    { key: 'description', headers: ['Description'], required: false },
+    { key: 'comments', headers: ['Comments', 'Comment'], required: false },
+    { key: 'budgetedHours', headers: ['Budgeted hours', 'Budget', 'Budget hours'], required: false },
+    { key: 'companySize', headers: ['Company size'], required: false },
+    { key: 'categories', headers: ['Categories', 'Category'], required: false }
+  ];
+
+  const SYNC_MODES = ['append', 'upsert'];
+
+  if (!SYNC_MODES.includes(syncMode)) {
+    throw new Error(`Unsupported sync mode "${syncMode}". Use one of ${SYNC_MODES.join(', ')}.`);
+  }
+
+  /**
+   * Returns the cache key of the current version of the project data.
+   * Records are cached under their own key, so rows cached by position are never read as records.
+   * @returns {string} - The versioned cache key.
+   */
+  const getVersionedCacheKey = () => {
+    const version = PropertiesService.getScriptProperties().getProperty(CACHE_VERSION_KEY) || '0';
+    return `${cacheKey}_records_v${version}`;
+  };
+
   /**
    * Clears the cache for project data.
+   * Removes the entry of the current user and moves every user to a new cache version, so that
+   * entries cached by other users are no longer read either.
    */
   const clearCache = () => {
-    const cache = CacheService.getUserCache();
-    cache.remove(cacheKey);
+    gasCacheManager({ cache: CacheService.getUserCache() }).remove(getVersionedCacheKey());
+    PropertiesService.getScriptProperties().setProperty(CACHE_VERSION_KEY, String(Date.now()));
     console.log('Cache cleared successfully.');
   };
 
   /**
    * Fetches data from the cache.
-   * @returns {Array|null} - Cached data or null if not available.
+   * @returns {Array|null} - Cached data or null if not available (or partly evicted).
    */
   const fetchFromCache = () => {
-    const cache = CacheService.getUserCache();
-    const cachedData = cache.get(cacheKey);
-    return cachedData ? JSON.parse(cachedData) : null;
+    return gasCacheManager({ cache: CacheService.getUserCache() }).get(getVersionedCacheKey());
   };
 
   /**
    * Fetches data from the Google Sheet.
-   * @returns {Array} - Data from the sheet excluding the header row.
+   * @returns {Array<Object>} - One record per data row, keyed by the column keys of `PROJECT_COLUMNS`.
+   * @throws {Error} If the sheet does not exist or misses a required column.
    */
   const fetchFromSpreadsheet = () => {
     const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
     const sheet = spreadsheet.getSheetByName(sheetName);
-    const dataRange = sheet.getDataRange();
-    return dataRange.getValues().slice(1); // Exclude header row
+    if (!sheet) {
+      throw new Error(`Sheet "${sheetName}" not found in the projects spreadsheet.`);
+    }
+
+    const [headerRow = [], ...rows] = sheet.getDataRange().getValues();
+    const columnIndexes = mapColumns(headerRow);
+
+    return rows.map(row => PROJECT_COLUMNS.reduce((record, { key }) => {
+      record[key] = columnIndexes[key] === undefined ? null : row[columnIndexes[key]];
+      return record;
+    }, {}));
+  };
+
+  /**
+   * Normalizes a header name for matching: lowercase, without spaces and punctuation.
+   * @param {*} header - The header cell value.
+   * @returns {string} - The normalized header.
+   */
+  const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  /**
+   * Maps the columns of the header row to the column keys of `PROJECT_COLUMNS`.
+   * The first header matching a column wins; headers that match no column are ignored.
+   * @param {Array} headerRow - The values of the header row.
+   * @returns {Object<string, number>} - The index of every column found, by column key.
+   * @throws {Error} If a required column is missing, naming every missing column and the accepted headers.
+   */
+  const mapColumns = (headerRow) => {
+    const normalizedHeaders = headerRow.map(normalizeHeader);
+    const columnIndexes = {};
+    const missing = [];
+
+    PROJECT_COLUMNS.forEach(({ key, headers, required }) => {
+      const accepted = headers.concat(columnAliases[key] || []);
+      const index = normalizedHeaders.findIndex(header => header && accepted.some(name => normalizeHeader(name) === header));
+
+      if (index !== -1) {
+        columnIndexes[key] = index;
+      } else if (required) {
+        missing.push(`"${headers[0]}" (or ${accepted.slice(1).map(name => `"${name}"`).join(', ') || 'no alias'})`);
+      }
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`Sheet "${sheetName}" is missing required column(s): ${missing.join(', ')}. ` +
+        `Found headers: ${headerRow.filter(header => header !== '').join(', ') || 'none'}.`);
+    }
+
+    return columnIndexes;
   };
 
   /**
-   * Caches the provided data.
+   * Caches the provided data, split over several cache entries when it is too large for one.
    * @param {Array} data - The data to cache.
    */
   const cacheData = (data) => {
-    const cache = CacheService.getUserCache();
-    cache.put(cacheKey, JSON.stringify(data), cacheExpiry);
+    gasCacheManager({ cache: CacheService.getUserCache() }).put(getVersionedCacheKey(), data, cacheExpiry);
   };
 
   /**
    * Fetches project data, either from cache or the spreadsheet.
-   * @returns {Array} - The project data.
+   * @returns {Array<Object>} - The project records, keyed by the column keys of `PROJECT_COLUMNS`.
    */
   const fetchData = () => {
     let projectInfo = fetchFromCache();
@@ -101,31 +210,67 @@ const gasProjectInfoManager = (params = {}) => {
     return projectInfo;
   };
 
+  /**
+   * Splits the comma-separated categories of a record into an array.
+   * @param {*} categories - The value of the Categories column.
+   * @returns {Array<string>} - The trimmed, non-empty categories.
+   */
+  const parseCategories = (categories) => {
+    return categories ? String(categories).split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+  };
+
+  /**
+   * Converts a record of the Projects sheet into a task entry of the project tree.
+   * @param {Object} record - A record keyed by the column keys of `PROJECT_COLUMNS`.
+   * @returns {Object} - The task with all of its columns, and `categories` as an array.
+   */
+  const buildTaskEntry = ({ code, task, isDefault, from, to, rate, description, comments, budgetedHours, companySize, categories }) => {
+    return {
+      code,
+      task,
+      is_default: isDefault,
+      start: from,
+      end: to,
+      rate,
+      description,
+      comments,
+      budgetedHours,
+      companySize,
+      categories: parseCategories(categories)
+    };
+  };
+
+  /**
+   * Checks whether a record is active on a date: the date lies within its From and To dates, inclusive.
+   * A missing From or To date leaves that side of the range open.
+   * @param {Object} record - A record keyed by the column keys of `PROJECT_COLUMNS`.
+   * @param {Date} asOf - The date to check.
+   * @returns {boolean} - True if the record is active on that date.
+   */
+  const isActiveOn = ({ from, to }, asOf) => {
+    const day = new Date(asOf).setHours(0, 0, 0, 0);
+    const startDate = from ? new Date(from).setHours(0, 0, 0, 0) : day;
+    const endDate = to ? new Date(to).setHours(0, 0, 0, 0) : day;
+    return startDate <= day && endDate >= day;
+  };
+
   /**
    * Transforms project data into a nested structure.
-   * @returns {Object} - Nested structure of clients, projects, and tasks.
+   * @returns {Object} - Nested structure of clients, projects, and tasks (see `buildTaskEntry`).
    */
   const getNestedStructure = () => {
     const data = fetchData();
     const nestedStructure = {};
 
-    data.forEach(([code, client, project, task, is_default, start, end, rate, description, comments]) => {
+    data.forEach((record) => {
+      const { client, project } = record;
       if (!nestedStructure[client]) {
         nestedStructure[client] = {};
       }
       if (!nestedStructure[client][project]) {
         nestedStructure[client][project] = [];
       }
-      nestedStructure[client][project].push({
-        code,
-        task,
-        is_default,
-        start,
-        end,
-        rate,
-        description,
-        comments
-      });
+      nestedStructure[client][project].push(buildTaskEntry(record));
     });
 
     return nestedStructure;
@@ -133,35 +278,25 @@ const gasProjectInfoManager = (params = {}) => {
 
   /**
    * Retrieves active projects and tasks filtered by their start and end dates.
-   * Includes the 'code' field as well.
+   * Every task carries all of its columns (see `buildTaskEntry`).
+   * @param {Date} [asOf=new Date()] - The date the tasks must be active on.
    * @returns {Object} - A tree of active projects and tasks.
    */
-  const getActiveProjectsTree = () => {
+  const getActiveProjectsTree = (asOf = new Date()) => {
     const data = fetchData();
     const nestedStructure = {};
-    const today = new Date().setHours(0, 0, 0, 0);
 
-    data.forEach(([code, client, project, task, is_default, start, end, rate, description, comments]) => {
-      const startDate = start ? new Date(start).setHours(0, 0, 0, 0) : today;
-      const endDate = end ? new Date(end).setHours(0, 0, 0, 0) : today;
+    data.forEach((record) => {
+      const { client, project } = record;
 
-      if (startDate <= today && endDate >= today) {
+      if (isActiveOn(record, asOf)) {
         if (!nestedStructure[client]) {
           nestedStructure[client] = {};
         }
         if (!nestedStructure[client][project]) {
           nestedStructure[client][project] = [];
         }
-        nestedStructure[client][project].push({
-          code,           // Include code here
-          task,
-          is_default,
-          start,
-          end,
-          rate,
-          description,
-          comments
-        });
+        nestedStructure[client][project].push(buildTaskEntry(record));
       }
     });
 
@@ -170,19 +305,15 @@ const gasProjectInfoManager = (params = {}) => {
 
   /**
    * Retrieves a list of active clients based on project dates.
+   * @param {Date} [asOf=new Date()] - The date the clients must be active on.
    * @returns {Array} - Unique list of active clients.
    */
-  const getActiveClients = () => {
+  const getActiveClients = (asOf = new Date()) => {
     const data = fetchData();
-    const today = new Date().setHours(0, 0, 0, 0);
 
     const clients = data
-      .filter(([, client, , , , start, end]) => {
-        const startDate = start ? new Date(start).setHours(0, 0, 0, 0) : today;
-        const endDate = end ? new Date(end).setHours(0, 0, 0, 0) : today;
-        return startDate <= today && endDate >= today && client;
-      })
-      .map(([, client]) => client);
+      .filter(record => isActiveOn(record, asOf) && record.client)
+      .map(({ client }) => client);
 
     return [...new Set(clients)];
   };
@@ -193,7 +324,7 @@ const gasProjectInfoManager = (params = {}) => {
    */
   const getClients = () => {
     const data = fetchData();
-    return [...new Set(data.map(([, client]) => client))];
+    return [...new Set(data.map(({ client }) => client))];
   };
 
   /**
@@ -202,127 +333,398 @@ const gasProjectInfoManager = (params = {}) => {
    */
   const getProjects = () => {
     const data = fetchData();
-    return [...new Set(data.map(([, , project]) => project))];
+    return [...new Set(data.map(({ project }) => project))];
   };
 
   /**
    * Retrieves a list of active projects based on project dates.
+   * @param {Date} [asOf=new Date()] - The date the projects must be active on.
    * @returns {Array} - Unique list of active projects.
    */
-  const getActiveProjects = () => {
+  const getActiveProjects = (asOf = new Date()) => {
     const data = fetchData();
-    const today = new Date().setHours(0, 0, 0, 0);
 
     const projects = data
-      .filter(([, , project, , , start, end]) => {
-        const startDate = start ? new Date(start).setHours(0, 0, 0, 0) : today;
-        const endDate = end ? new Date(end).setHours(0, 0, 0, 0) : today;
-        return startDate <= today && endDate >= today && project;
-      })
-      .map(([, , project]) => project);
+      .filter(record => isActiveOn(record, asOf) && record.project)
+      .map(({ project }) => project);
 
     return [...new Set(projects)];
   };
 
   /**
    * Retrieves all unique tasks from the project data, including the code.
-   * @returns {Array} - Unique list of all tasks with code and details.
+   * @returns {Array} - Unique list of all tasks with code and details, shaped like the tasks of the tree.
    */
   const getTasks = () => {
     const data = fetchData();
-    return data.map(([code, , , task, , , , rate, description, comments]) => ({
-      code,
-      task,
-      rate,
-      description,
-      comments
-    }));
+    return data.map(buildTaskEntry);
   };
 
   /**
    * Retrieves a list of active tasks based on project dates.
-   * @returns {Array} - Unique list of active tasks with their code and details.
+   * @param {Date} [asOf=new Date()] - The date the tasks must be active on.
+   * @returns {Array} - Unique list of active tasks with their code and details, shaped like the tasks of the tree.
    */
-  const getActiveTasks = () => {
+  const getActiveTasks = (asOf = new Date()) => {
     const data = fetchData();
-    const today = new Date().setHours(0, 0, 0, 0);
 
     return data
-      .filter(([code, , , task, , start, end, rate, description, comments]) => {
-        const startDate = start ? new Date(start).setHours(0, 0, 0, 0) : today;
-        const endDate = end ? new Date(end).setHours(0, 0, 0, 0) : today;
-        return startDate <= today && endDate >= today && task;
-      })
-      .map(([code, , , task, , , , rate, description, comments]) => ({
-        code,
-        task,
-        rate,
-        description,
-        comments
-      }));
+      .filter(record => isActiveOn(record, asOf) && record.task)
+      .map(buildTaskEntry);
+  };
+
+  /**
+   * Validates every row of the Projects sheet. Rows with no values at all are ignored.
+   * A row is rejected when its code is used by another row, a required field (Code, Client, Project, Task,
+   * From, To) is empty, From or To is not a date, From is after To, Rate or Budgeted hours is not a number,
+   * or a category is not one of the known categories.
+   * @returns {{rowCount: number, validCount: number, rejectedCount: number, rows: Array<Object>}} - The report;
+   *   `rows` holds `{ rowNumber, code, valid, errors }` for every non-empty row, `rowNumber` being the sheet row.
+   */
+  const validateRows = () => {
+    const { rowCount, validCount, rejectedCount, rows } = buildValidationReport(fetchData());
+    return { rowCount, validCount, rejectedCount, rows };
+  };
+
+  /**
+   * Builds the validation report of a set of sheet records (see `validateRows`).
+   * @param {Array<Object>} data - The records of the Projects sheet, in sheet order.
+   * @returns {Object} - The validation report, plus the valid `records` themselves.
+   */
+  const buildValidationReport = (data) => {
+    const categories = getKnownCategories();
+    const knownCategoryNames = categories ? new Set(categories.map(category => category.toLowerCase())) : null;
+    const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+    const isNumber = value => typeof value === 'number' || !isNaN(Number(String(value).trim()));
+    const toDate = value => (value instanceof Date ? value : new Date(value));
+
+    const rows = data
+      .map((record, index) => ({ record, rowNumber: index + 2 }))
+      .filter(({ record }) => Object.keys(record).some(key => !isBlank(record[key])))
+      .map(({ record, rowNumber }) => {
+        const errors = [];
+
+        [['code', 'Code'], ['client', 'Client'], ['project', 'Project'], ['task', 'Task'], ['from', 'From'], ['to', 'To']]
+          .filter(([key]) => isBlank(record[key]))
+          .forEach(([, label]) => errors.push(`${label} is missing.`));
+
+        const from = isBlank(record.from) ? null : toDate(record.from);
+        const to = isBlank(record.to) ? null : toDate(record.to);
+        if (from && isNaN(from.getTime())) errors.push(`From "${record.from}" is not a date.`);
+        if (to && isNaN(to.getTime())) errors.push(`To "${record.to}" is not a date.`);
+        if (from && to && !isNaN(from.getTime()) && !isNaN(to.getTime()) && from > to) {
+          errors.push('From is after To.');
+        }
+
+        if (!isBlank(record.rate) && !isNumber(record.rate)) errors.push(`Rate "${record.rate}" is not a number.`);
+        if (!isBlank(record.budgetedHours) && !isNumber(record.budgetedHours)) {
+          errors.push(`Budgeted hours "${record.budgetedHours}" is not a number.`);
+        }
+
+        if (knownCategoryNames && !isBlank(record.categories)) {
+          parseCategories(record.categories)
+            .filter(tag => !knownCategoryNames.has(tag.toLowerCase()))
+            .forEach(tag => errors.push(`Category "${tag}" is unknown.`));
+        }
+
+        return { rowNumber, code: isBlank(record.code) ? null : String(record.code).trim(), record, errors };
+      });
+
+    const rowNumbersByCode = rows.reduce((codes, { code, rowNumber }) => {
+      if (code) {
+        codes[code] = (codes[code] || []).concat(rowNumber);
+      }
+      return codes;
+    }, {});
+
+    rows.forEach((row) => {
+      const otherRows = row.code ? rowNumbersByCode[row.code].filter(rowNumber => rowNumber !== row.rowNumber) : [];
+      if (otherRows.length > 0) {
+        row.errors.push(`Code "${row.code}" is also used on row(s) ${otherRows.join(', ')}.`);
+      }
+      row.valid = row.errors.length === 0;
+    });
+
+    const validCount = rows.filter(row => row.valid).length;
+    return {
+      rowCount: rows.length,
+      validCount,
+      rejectedCount: rows.length - validCount,
+      rows: rows.map(({ rowNumber, code, valid, errors }) => ({ rowNumber, code, valid, errors })),
+      records: rows.filter(row => row.valid).map(row => row.record)
+    };
+  };
+
+  /**
+   * Validates the sheet records and returns the valid ones.
+   * @param {Array<Object>} data - The records of the Projects sheet.
+   * @param {boolean} skipInvalidRows - Return the valid records instead of throwing when some rows are rejected.
+   * @returns {{records: Array<Object>, rejectedCount: number}} - The valid records and the number of rejected rows.
+   * @throws {Error} If rows are rejected and `skipInvalidRows` is not set, listing the first problems.
+   */
+  const selectValidRecords = (data, skipInvalidRows) => {
+    const { records, rejectedCount, rows } = buildValidationReport(data);
+
+    if (rejectedCount > 0 && !skipInvalidRows) {
+      const problems = rows.filter(row => !row.valid).slice(0, 5)
+        .map(row => `Row ${row.rowNumber}: ${row.errors.join(' ')}`);
+      throw new Error(`${rejectedCount} row(s) of the Projects sheet are invalid. ${problems.join(' ')}`);
+    }
+
+    if (rejectedCount > 0) {
+      console.warn(`Skipping ${rejectedCount} invalid row(s) of the Projects sheet.`);
+    }
+
+    return { records, rejectedCount };
+  };
+
+  /**
+   * Retrieves the allowed categories: the `knownCategories` parameter, or the first column of the
+   * `Categories` sheet (below its header).
+   * @returns {Array<string>|null} - The categories, or null if there is no list to check against.
+   */
+  const getKnownCategories = () => {
+    if (knownCategories) {
+      return knownCategories;
+    }
+
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(CATEGORIES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return null;
+    }
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+      .map(([category]) => String(category).trim())
+      .filter(category => category);
   };
 
   /**
    * Syncs project data from the Google Sheet to the BigQuery `projects` table.
    * Adds calculated fields `record_date_time` and `modified_time` during the sync.
-   * Clears the cache before syncing.
-   * @throws {Error} If syncing fails.
+   * Clears the cache before syncing. In `append` mode, rows are sent in batches within the time budget; when it
+   * runs low, a checkpoint is saved and the next call resumes with the remaining rows. In `upsert` mode, all rows
+   * are merged in one statement (see `upsertRows`). When a
+   * `syncRunManager` is provided, the run is recorded in the `sync_runs` table whether it succeeds or not.
+   *
+   * Every row is validated first (see `validateRows`). By default, any invalid row aborts the sync; with
+   * `skipInvalidRows`, the valid rows are synced and the rejected rows are counted as `insertErrors`.
+   *
+   * @param {Object} [options={}] - Run options.
+   * @param {string} [options.triggerSource='manual'] - `manual`, `scheduled` or `resume`, recorded with the run.
+   * @param {boolean} [options.skipInvalidRows=false] - Sync the valid rows and skip the rows rejected by validation.
+   * @returns {{complete: boolean, rowsRead: number, rowsWritten: number, insertErrors: number}} - Summary of the run.
+   * @throws {Error} If syncing fails, or rows are invalid and `skipInvalidRows` is not set.
    */
-  const syncToBigQuery = () => {
-    clearCache();
-    const data = fetchData();
-    const currentTime = new Date().toISOString();
+  const syncToBigQuery = (options = {}) => {
+    const { triggerSource = 'manual', skipInvalidRows = false } = options;
+    const startTime = new Date();
+    const deadline = startTime.getTime() + timeBudgetMs;
+
+    let summary;
+    try {
+      summary = syncMode === 'upsert' ? upsertRows(skipInvalidRows) : syncRows(deadline, skipInvalidRows);
+    } catch (error) {
+      if (syncRunManager) {
+        syncRunManager.recordRun({ runType: 'projects', triggerSource, startTime, errorMessage: error.message });
+      }
+      throw error;
+    }
+
+    if (syncRunManager) {
+      syncRunManager.recordRun({ runType: 'projects', triggerSource, startTime, ...summary });
+    }
+    return summary;
+  };
+
+  /**
+   * Reads the Projects sheet, validates every row and inserts the rows into BigQuery in batches.
+   * When the time budget runs low, the rows of the run are stored as a snapshot in the cache, next to a checkpoint
+   * with the number of rows sent. A resumed sync continues with the snapshot, never with a fresh read of the sheet,
+   * so rows inserted, deleted or sorted in the meantime can not be sent twice or skipped. All rows of one sync share
+   * the same snapshot time (`record_date_time`). If the snapshot was evicted, the sync starts over with a new
+   * snapshot time; the rows of the unfinished snapshot are superseded by it.
+   * @param {number} deadline - Time (in ms since epoch) at which the run has to stop.
+   * @param {boolean} skipInvalidRows - Skip invalid rows instead of aborting.
+   * @returns {{complete: boolean, rowsRead: number, rowsWritten: number, insertErrors: number}} - Summary of the run.
+   * @throws {Error} If a row is invalid and `skipInvalidRows` is not set, or the insert fails.
+   */
+  const syncRows = (deadline, skipInvalidRows) => {
+    const snapshotCache = gasCacheManager({ cache: CacheService.getUserCache() });
+    const checkpoint = getSyncCheckpoint();
+    const snapshot = checkpoint ? snapshotCache.get(getSnapshotKey(checkpoint.recordTime)) : null;
+
+    let run;
+    if (snapshot) {
+      // A resumed sync skips the same rows as the run it continues
+      const { recordTime, rowsSent, rowsRead, insertErrors } = checkpoint;
+      run = { currentTime: recordTime, rows: snapshot, rowsAlreadySent: rowsSent, rowsRead, rejectedCount: insertErrors, skipRows: Boolean(checkpoint.skipInvalidRows) };
+    } else {
+      if (checkpoint) {
+        console.warn(`The snapshot of the interrupted projects sync of ${checkpoint.recordTime} expired. Starting over.`);
+        clearSyncCheckpoint();
+      }
+      clearCache();
+
+      const data = fetchData();
+      const currentTime = new Date().toISOString();
+      const skipRows = skipInvalidRows || Boolean(checkpoint && checkpoint.skipInvalidRows);
+      const { records, rejectedCount } = selectValidRecords(data, skipRows);
+      run = { currentTime, rows: buildRows(records, currentTime), rowsAlreadySent: 0, rowsRead: data.length, rejectedCount, skipRows };
+    }
+
+    const { currentTime, rows, rowsAlreadySent, rowsRead, rejectedCount, skipRows } = run;
+    let rowsSent = rowsAlreadySent;
+    let batchDuration = 0;
+
+    while (rowsSent < rows.length) {
+      const batchStart = Date.now();
+      const batch = rows.slice(rowsSent, rowsSent + batchSize);
+
+      try {
+        bigQueryManager.insertRows(batch);
+      } catch (error) {
+        console.error(`Error syncing data to BigQuery: ${error.message}`);
+        throw error;
+      }
+
+      rowsSent += batch.length;
+      batchDuration = Math.max(batchDuration, Date.now() - batchStart);
 
-    const rows = data.map(([code, client, project, task, is_default, start, end, rate, description, comments, budgetedHours, companySize, categories], index) => {
-      const row = {
+      if (rowsSent < rows.length && Date.now() + batchDuration * 2 >= deadline) {
+        if (!snapshot) {
+          snapshotCache.put(getSnapshotKey(currentTime), rows, SYNC_SNAPSHOT_EXPIRY);
+        }
+        saveSyncCheckpoint({ recordTime: currentTime, rowsSent, totalRows: rows.length, rowsRead, insertErrors: rejectedCount, skipInvalidRows: skipRows });
+        console.warn(`Time budget exhausted. Checkpoint saved after ${rowsSent} of ${rows.length} rows.`);
+        return { complete: false, rowsRead, rowsWritten: rowsSent - rowsAlreadySent, insertErrors: rejectedCount };
+      }
+    }
+
+    if (checkpoint) {
+      snapshotCache.remove(getSnapshotKey(checkpoint.recordTime));
+    }
+    clearSyncCheckpoint();
+    console.log(`Successfully synced ${rows.length} rows to BigQuery${rejectedCount > 0 ? `, skipped ${rejectedCount} invalid rows` : ''}.`);
+    return { complete: true, rowsRead, rowsWritten: rowsSent - rowsAlreadySent, insertErrors: rejectedCount };
+  };
+
+  /**
+   * Returns the cache key of the row snapshot of a sync.
+   * @param {string} recordTime - The snapshot time of the sync.
+   * @returns {string}
+   */
+  const getSnapshotKey = (recordTime) => `${cacheKey}_sync_${spreadsheetId}_${recordTime}`;
+
+  /**
+   * Converts validated sheet records into BigQuery rows.
+   * @param {Array<Object>} data - Valid records of the Projects sheet (see `selectValidRecords`).
+   * @param {string} currentTime - The sync time, used as `record_date_time` and `modified_time`.
+   * @returns {Array<Object>} - The rows for the `projects` table.
+   */
+  const buildRows = (data, currentTime) => {
+    return data.map(({ code, client, project, task, isDefault, from, to, rate, description, comments, budgetedHours, companySize, categories }) => {
+      return {
         record_date_time: currentTime,
         id: code ? String(code).trim() : null,
         client: client ? String(client).trim() : null,
         project: project ? String(project).trim() : null,
         task: task ? String(task).trim() : null,
-        default: is_default === true || is_default === false ? is_default : null,
-        from: start ? new Date(start).toISOString().replace('T', ' ').split('.')[0] : null,
-        to: end ? new Date(end).toISOString().replace('T', ' ').split('.')[0] : null,
+        default: isDefault === true || isDefault === false ? isDefault : null,
+        from: from ? new Date(from).toISOString().replace('T', ' ').split('.')[0] : null,
+        to: to ? new Date(to).toISOString().replace('T', ' ').split('.')[0] : null,
         rate: typeof rate === 'number' ? rate : parseFloat(rate) || null,
         description: description ? String(description).trim() : null,
         comments: comments ? String(comments).trim() : null,
         budgeted_hours: typeof budgetedHours === 'number' ? budgetedHours : parseFloat(budgetedHours) || null,
         company_size: companySize ? String(companySize).trim() : null,
-        categories: categories ? categories.split(',').map(tag => tag.trim()) : [],
+        categories: parseCategories(categories),
         modified_time: currentTime
       };
+    });
+  };
 
-      // Validate the row against mandatory fields
-      const mandatoryFields = ['record_date_time', 'id', 'client', 'project', 'task', 'from', 'to'];
-      mandatoryFields.forEach((field) => {
-        if (row[field] === null || row[field] === undefined) {
-          throw new Error(`Row ${index + 1}: Missing mandatory field "${field}".`);
-        }
-      });
+  /**
+   * Merges the Projects sheet into BigQuery on `id`. New codes are inserted, changed codes are updated
+   * with a new `modified_time`, unchanged codes are left as they are, and codes that were removed from
+   * the sheet are marked as `retired`. A code that reappears in the sheet is no longer retired.
+   * The original `record_date_time` of a code is kept. When invalid rows are skipped, no codes are retired,
+   * since a rejected row has not been removed from the sheet. A `retired` of NULL, left by rows written before
+   * the column existed, counts as not retired.
+   * The merge can not run while rows streamed by an append sync are still in the streaming buffer (up to 90
+   * minutes); the run is then reported as incomplete, so that it is resumed later.
+   * @param {boolean} skipInvalidRows - Skip invalid rows instead of aborting.
+   * @returns {{complete: boolean, rowsRead: number, rowsWritten: number, insertErrors: number}} - Summary of the run.
+   * @throws {Error} If a row is invalid and `skipInvalidRows` is not set, or the merge fails.
+   */
+  const upsertRows = (skipInvalidRows) => {
+    clearCache();
+    clearSyncCheckpoint();
 
-      return row;
-    });
+    const data = fetchData();
+    const { records, rejectedCount } = selectValidRecords(data, skipInvalidRows);
+    const rows = buildRows(records, new Date().toISOString())
+      .map(row => ({ ...row, retired: false }));
 
     try {
-      bigQueryManager.insertRows(rows);
-      console.log(`Successfully synced ${rows.length} rows to BigQuery.`);
+      const { insertedCount, updatedCount } = bigQueryManager.mergeRows(['id'], rows, {
+        ignoreFields: ['record_date_time'],
+        modifiedField: 'modified_time',
+        retiredField: rejectedCount > 0 ? null : 'retired',
+        nullAsFalseFields: ['retired']
+      });
+      console.log(`Successfully merged ${rows.length} rows into BigQuery: ${insertedCount} inserted, ${updatedCount} updated or retired.`);
+      return { complete: true, rowsRead: data.length, rowsWritten: insertedCount + updatedCount, insertErrors: rejectedCount };
     } catch (error) {
-      console.error(`Error syncing data to BigQuery: ${error.message}`);
+      if (bigQueryManager.isStreamingBufferError(error)) {
+        console.warn("Project data can not be merged while streamed rows are in the streaming buffer. Retrying later.");
+        return { complete: false, rowsRead: data.length, rowsWritten: 0, insertErrors: rejectedCount };
+      }
+      console.error(`Error merging data into BigQuery: ${error.message}`);
       throw error;
     }
   };
 
+  /**
+   * Retrieves the checkpoint saved when a projects sync ran out of time.
+   * @returns {Object|null} - `{ recordTime, rowsSent, totalRows, skipInvalidRows, savedAt }` or null if there is none.
+   */
+  const getSyncCheckpoint = () => {
+    const checkpoint = PropertiesService.getUserProperties().getProperty(SYNC_CHECKPOINT_KEY);
+    return checkpoint ? JSON.parse(checkpoint) : null;
+  };
+
+  /**
+   * Saves a checkpoint to resume the projects sync from.
+   * @param {Object} checkpoint - `{ recordTime, rowsSent, totalRows, rowsRead, insertErrors, skipInvalidRows }`.
+   */
+  const saveSyncCheckpoint = (checkpoint) => {
+    PropertiesService.getUserProperties().setProperty(
+      SYNC_CHECKPOINT_KEY,
+      JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() })
+    );
+  };
+
+  /**
+   * Removes the projects sync checkpoint.
+   */
+  const clearSyncCheckpoint = () => {
+    PropertiesService.getUserProperties().deleteProperty(SYNC_CHECKPOINT_KEY);
+  };
+
   return Object.freeze({
+    PROJECT_COLUMNS,     // The columns of the Projects sheet and their accepted headers
     fetchData,           // Fetches data from cache or spreadsheet
     getNestedStructure,  // Generates a nested structure of clients, projects, and tasks
-    getActiveProjectsTree, // Retrieves a tree of active projects and tasks (with code included)
+    getActiveProjectsTree, // Retrieves a tree of the projects and tasks active on a date (default today)
     getClients,          // Retrieves all unique clients
-    getActiveClients,    // Retrieves active clients based on project dates
+    getActiveClients,    // Retrieves the clients active on a date (default today)
     getProjects,         // Retrieves all unique projects
-    getActiveProjects,   // Retrieves active projects based on project dates
+    getActiveProjects,   // Retrieves the projects active on a date (default today)
     getTasks,            // Retrieves all unique tasks with code
-    getActiveTasks,      // Retrieves active tasks with code
+    getActiveTasks,      // Retrieves the tasks active on a date (default today), with code
     clearCache,          // Clears the cache
+    getSyncCheckpoint,   // Retrieves the checkpoint of an interrupted sync
+    validateRows,        // Validates the Projects sheet and reports the problems per row
     syncToBigQuery       // Syncs data to BigQuery
   });
 };
@@ -0,0 +1,276 @@
+/* global gasBigQueryManager, TIME_TABLE_SCHEMA, TIME_TABLE_OPTIONS, PROJECT_TABLE_SCHEMA, PROJECT_TABLE_OPTIONS, SYNC_RUN_TABLE_SCHEMA, buildLatestStateViews, buildReportingViews, PropertiesService, Utilities, console */
+
+/**
+ * @file gasSchemaManager.js
+ * @description Keeps the tables of an existing dataset in line with the schema modules.
+ * `gasBigQueryManager.createTable` leaves existing tables untouched, so columns added to a schema
+ * module would never reach tables created by an earlier version of the add-on. This module compares
+ * the live tables with the schema modules, adds the missing columns, and reports changes that can
+ * not be applied in place (type or mode changes).
+ *
+ * The version of the applied schemas is stored as the `schema_version` label of the dataset. The
+ * version is a fingerprint of the schema modules and view definitions, so it changes whenever one of
+ * them changes and the tables are only compared when it does.
+ *
+ * The views of `ViewSchema.js` are re-created after every migration, so that they pick up new columns.
+ * Tables created before they were partitioned or clustered can be rebuilt into their current layout.
+ * A rebuild runs in the background (see `runTableRebuild` in `triggers/sync.js`). Its state is stored in the
+ * Script Properties per dataset, and the syncs into the dataset pause from the moment it is requested until
+ * it has finished, so that no rows are written while a table is copied and replaced.
+ *
+ * Usage Example:
+ * const schemaManager = gasSchemaManager({ projectId: 'my-project', datasetId: 'ara_time' });
+ * const report = schemaManager.migrate();
+ * schemaManager.requestRebuild();
+ * const { complete, results } = schemaManager.rebuildTables({ deadline: Date.now() + 4 * 60 * 1000 });
+ */
+
+/**
+ * gasSchemaManager
+ *
+ * @param {Object} params - Parameters for initializing the schema manager.
+ * @param {string} params.projectId - The BigQuery project ID.
+ * @param {string} params.datasetId - The BigQuery dataset ID.
+ * @param {string} [params.timeZone='UTC'] - The time zone of the reporting views.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to migrate the table schemas of the dataset.
+ */
+const gasSchemaManager = (params = {}) => {
+  const {
+    projectId,
+    datasetId,
+    timeZone = 'UTC',
+    logManager = console
+  } = params;
+
+  if (!projectId || !datasetId) {
+    throw new Error('gasSchemaManager: projectId and datasetId are required.');
+  }
+
+  const SCHEMA_VERSION_LABEL = 'schema_version';
+  const REBUILD_STATE_KEY = `TABLE_REBUILD_${projectId}.${datasetId}`;
+
+  /**
+   * A rebuild that is still marked as running after this time was stopped by Apps Script, whose executions
+   * run at most 6 minutes, and no longer pauses the syncs.
+   */
+  const REBUILD_STALE_MS = 30 * 60 * 1000;
+
+  /**
+   * The tables managed by the add-on, the schema module defining each of them and their storage layout.
+   */
+  const MANAGED_TABLES = [
+    { tableId: 'time', schema: TIME_TABLE_SCHEMA, options: TIME_TABLE_OPTIONS },
+    { tableId: 'projects', schema: PROJECT_TABLE_SCHEMA, options: PROJECT_TABLE_OPTIONS },
+    { tableId: 'sync_runs', schema: SYNC_RUN_TABLE_SCHEMA, options: {} }
+  ];
+
+  const bigQueryManager = gasBigQueryManager({ projectId, datasetId });
+
+  /**
+   * Computes the version of the schema modules: a fingerprint of every column name, type and mode,
+   * and of the view definitions, so that changed views are also re-created.
+   * @returns {string} - A 16 character hexadecimal version, usable as a label value.
+   */
+  const getSchemaVersion = () => {
+    const definition = {
+      tables: MANAGED_TABLES.map(({ tableId, schema }) => ({
+        tableId,
+        fields: schema.map(({ name, type, mode }) => [name, type, mode || 'NULLABLE'])
+      })),
+      views: buildViews()
+    };
+
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(definition));
+    return digest
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('')
+      .substring(0, 16);
+  };
+
+  /**
+   * Retrieves the schema version recorded in the dataset.
+   * @returns {string|null} - The recorded version, or null if none was recorded yet.
+   */
+  const getRecordedSchemaVersion = () => {
+    const { labels = {} } = bigQueryManager.getDataset();
+    return labels[SCHEMA_VERSION_LABEL] || null;
+  };
+
+  /**
+   * Migrates the managed tables to the current schema modules.
+   * Does nothing when the dataset already records the current version, unless `force` is set, or while a table
+   * rebuild is scheduled or running.
+   * The version is only recorded, and the views re-created, when no incompatible changes remain, so they
+   * are reported on every run until they are resolved.
+   *
+   * @param {Object} [options={}] - Migration options.
+   * @param {boolean} [options.force=false] - Compare the tables even if the recorded version is current.
+   * @returns {Object} - `{ schemaVersion, previousVersion, migrated, addedFields: Array<{ tableId, name }>,
+   *   incompatibleChanges: Array<{ tableId, name, expected, actual }>, views: Array<string> }`. `migrated` is false if
+   *   the tables were not compared; `views` lists the re-created views.
+   */
+  const migrate = (options = {}) => {
+    const { force = false } = options;
+    const schemaVersion = getSchemaVersion();
+    const previousVersion = getRecordedSchemaVersion();
+    const report = { schemaVersion, previousVersion, migrated: false, addedFields: [], incompatibleChanges: [], views: [] };
+
+    if (previousVersion === schemaVersion && !force) {
+      return report;
+    }
+
+    if (isRebuildInProgress()) {
+      logManager.info(`gasSchemaManager: Migration of dataset "${datasetId}" waits until its table rebuild has finished.`);
+      return report;
+    }
+
+    report.migrated = true;
+    MANAGED_TABLES.forEach(({ tableId, schema }) => {
+      const { addedFields, incompatibleChanges } = bigQueryManager.migrateTableSchema(tableId, schema);
+      addedFields.forEach(name => report.addedFields.push({ tableId, name }));
+      incompatibleChanges.forEach(change => report.incompatibleChanges.push(Object.assign({ tableId }, change)));
+    });
+
+    if (report.incompatibleChanges.length > 0) {
+      logManager.warn(`gasSchemaManager: ${report.incompatibleChanges.length} incompatible schema change(s) in dataset "${datasetId}" need manual attention.`);
+      return report;
+    }
+
+    report.views = createViews();
+    bigQueryManager.updateDatasetLabels({ [SCHEMA_VERSION_LABEL]: schemaVersion });
+    logManager.info(`gasSchemaManager: Dataset "${datasetId}" migrated from schema version ${previousVersion || 'none'} to ${schemaVersion}.`);
+    return report;
+  };
+
+  /**
+   * Builds the definitions of all views of the dataset, in dependency order.
+   * @returns {Array<{viewId: string, query: string}>} - The view IDs and their queries.
+   */
+  const buildViews = () => {
+    return buildLatestStateViews(projectId, datasetId).concat(buildReportingViews(projectId, datasetId, timeZone));
+  };
+
+  /**
+   * Creates or updates the latest-state and reporting views, in dependency order.
+   * @returns {Array<string>} - The IDs of the views.
+   */
+  const createViews = () => {
+    const views = buildViews();
+    views.forEach(({ viewId, query }) => bigQueryManager.createView(viewId, query));
+    return views.map(({ viewId }) => viewId);
+  };
+
+  /**
+   * Retrieves the state of the last requested table rebuild of the dataset.
+   * @returns {Object|null} - `{ status, requestedAt, startedAt, finishedAt, results, error }`, where `status` is
+   *   `scheduled`, `running`, `done` or `failed`, or null if no rebuild was requested.
+   */
+  const getRebuildState = () => {
+    const stateJson = PropertiesService.getScriptProperties().getProperty(REBUILD_STATE_KEY);
+    if (!stateJson) {
+      return null;
+    }
+
+    const state = JSON.parse(stateJson);
+    if (state.status === 'running' && Date.now() - new Date(state.startedAt).getTime() > REBUILD_STALE_MS) {
+      return Object.assign({}, state, { status: 'failed', error: 'The rebuild was stopped before it finished.' });
+    }
+    return state;
+  };
+
+  /**
+   * Stores the state of the table rebuild.
+   * @param {Object} state - The state (see `getRebuildState`).
+   */
+  const saveRebuildState = (state) => {
+    PropertiesService.getScriptProperties().setProperty(REBUILD_STATE_KEY, JSON.stringify(state));
+  };
+
+  /**
+   * Checks whether a table rebuild is scheduled or running. Syncs into the dataset pause while it is.
+   * @returns {boolean} - True if the syncs must not write to the dataset.
+   */
+  const isRebuildInProgress = () => {
+    const state = getRebuildState();
+    return Boolean(state) && (state.status === 'scheduled' || state.status === 'running');
+  };
+
+  /**
+   * Marks a table rebuild as requested, which pauses the syncs into the dataset until `rebuildTables` has finished.
+   * The caller schedules the trigger that runs it.
+   * @throws {Error} If a rebuild is already scheduled or running.
+   */
+  const requestRebuild = () => {
+    if (isRebuildInProgress()) {
+      throw new Error(`gasSchemaManager.requestRebuild: A rebuild of dataset "${datasetId}" is already ${getRebuildState().status}.`);
+    }
+    saveRebuildState({ status: 'scheduled', requestedAt: new Date().toISOString(), results: [] });
+  };
+
+  /**
+   * Rebuilds the managed tables that do not have their storage layout yet (for example tables created
+   * before the `time` table was partitioned). Every rebuilt table keeps a backup copy.
+   * No table is started after the deadline, so a run that is out of time stays scheduled and the next run
+   * continues with the remaining tables. The state is updated as the tables are rebuilt.
+   *
+   * @param {Object} [options={}] - Rebuild options.
+   * @param {number} [options.deadline=Infinity] - Time (ms since epoch) after which no further table is started.
+   * @returns {{complete: boolean, results: Array<Object>}} - The results of `gasBigQueryManager.rebuildTable` for
+   *   the tables rebuilt so far.
+   * @throws {Error} If a table can not be rebuilt. The rebuild is then marked as failed and the syncs resume.
+   */
+  const rebuildTables = (options = {}) => {
+    const { deadline = Infinity } = options;
+    const previousState = getRebuildState() || { requestedAt: new Date().toISOString(), results: [] };
+    const state = Object.assign({}, previousState, { status: 'running', startedAt: new Date().toISOString(), error: null });
+    saveRebuildState(state);
+
+    try {
+      const tables = MANAGED_TABLES.filter(({ tableId }) => bigQueryManager.getTable(tableId));
+      for (const { tableId, options: tableOptions } of tables) {
+        if (state.results.some(result => result.tableId === tableId)) {
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          saveRebuildState(Object.assign(state, { status: 'scheduled' }));
+          logManager.info(`gasSchemaManager: Rebuild of dataset "${datasetId}" ran out of time; ${state.results.length} of ${tables.length} table(s) done.`);
+          return { complete: false, results: state.results };
+        }
+
+        state.results.push(bigQueryManager.rebuildTable(tableId, tableOptions));
+        saveRebuildState(state);
+      }
+    } catch (error) {
+      saveRebuildState(Object.assign(state, { status: 'failed', finishedAt: new Date().toISOString(), error: error.message }));
+      logManager.error(`gasSchemaManager: Rebuild of dataset "${datasetId}" failed: ${error.message}`);
+      throw error;
+    }
+
+    saveRebuildState(Object.assign(state, { status: 'done', finishedAt: new Date().toISOString() }));
+    return { complete: true, results: state.results };
+  };
+
+  /**
+   * Describes the incompatible changes of a migration report for display to the user.
+   * @param {Object} report - The report returned by `migrate`.
+   * @returns {string} - A description, or an empty string if there are no incompatible changes.
+   */
+  const describeIncompatibleChanges = (report) => {
+    return report.incompatibleChanges
+      .map(({ tableId, name, expected, actual }) => `${tableId}.${name} is ${actual}, expected ${expected}`)
+      .join('; ');
+  };
+
+  return Object.freeze({
+    getSchemaVersion,
+    getRecordedSchemaVersion,
+    migrate,
+    createViews,
+    getRebuildState,
+    isRebuildInProgress,
+    requestRebuild,
+    rebuildTables,
+    describeIncompatibleChanges
+  });
+};
@@ -2,61 +2,396 @@
  * @OnlyCurrentDoc
  */
 
+/* global Calendar, PropertiesService, LockService, gasBigQueryManager, gasSyncRunManager, console */
+
+/**
+ * gasSyncManager
+ *
+ * Synchronizes one or more Google Calendars to the BigQuery `time` table. Every calendar keeps its
+ * own sync token, pending token and retry queue, so calendars can be added, disabled or reset
+ * independently. The sync state is stored in the User Properties of the user running the sync,
+ * so users sharing the add-on never advance each other's tokens.
+ *
+ * @param {Object} params - Parameters for initializing the sync manager.
+ * @param {string} params.projectId - The BigQuery project ID.
+ * @param {string} params.datasetId - The BigQuery dataset ID.
+ * @param {string} [params.tableId='time'] - The table receiving the events.
+ * @param {Array<Object>} [params.calendars] - Calendars to sync: `{ calendarId, enabled }`. The first one is the primary calendar.
+ * @param {string} [params.calendarId] - A single calendar to sync, used when `calendars` is not provided.
+ * @param {Object} [params.syncRunManager] - Instance of the sync run manager used to audit each run.
+ * @param {number} [params.timeBudgetMs=270000] - Time a sync may run before it saves a checkpoint and stops.
+ * @returns {Object} Methods to synchronize calendars and manage their sync state.
+ */
 const gasSyncManager = (params = {}) => {
   const {
     projectId,
     datasetId,
     tableId = 'time',
-    calendarId
+    calendarId,
+    syncRunManager = null,
+    timeBudgetMs = 4.5 * 60 * 1000
   } = params;
 
-  if (!projectId || !datasetId || !tableId || !calendarId) {
-    throw new Error('projectId, datasetId, tableId, and calendarId are required');
+  const calendars = params.calendars || (calendarId ? [{ calendarId, enabled: true }] : []);
+
+  if (!projectId || !datasetId || !tableId || calendars.length === 0) {
+    throw new Error('projectId, datasetId, tableId, and at least one calendarId are required');
   }
 
+  const runManager = syncRunManager || gasSyncRunManager({ projectId, datasetId });
+  const primaryCalendarId = calendars[0].calendarId;
+
+  const LEGACY_SYNC_TOKEN_KEY = 'SYNC_TOKEN';
+  const MIGRATION_FLAG = 'SYNC_STATE_MIGRATED';
+  const SYNC_TOKEN_PREFIX = 'SYNC_TOKEN_';
+  const PENDING_SYNC_TOKEN_PREFIX = 'PENDING_SYNC_TOKEN_';
+  const RETRY_QUEUE_PREFIX = 'SYNC_RETRY_QUEUE_';
+  const CHECKPOINT_PREFIX = 'SYNC_CHECKPOINT_';
+
+  /**
+   * Options used for every `Calendar.Events.list` request.
+   * `orderBy` is not among them: the Calendar API rejects it together with a `syncToken` (HTTP 400), and a full
+   * sync that uses it would hand out a sync token for a differently shaped request. Only backfills order by start time.
+   */
+  const LIST_OPTIONS = {
+    maxResults: 250,
+    showDeleted: true,
+    singleEvents: true
+  };
+
   /**
    * Main function to sync calendar events to BigQuery.
+   * Every enabled calendar is synchronized in turn; a failure in one calendar does not stop the others.
+   * Events that failed to insert during a previous run are retried first. The new sync token is
+   * only committed once the rows have been accepted by BigQuery; rows that are rejected are kept
+   * in the retry queue, so every event change is delivered at least once.
+   * The sync works within the time budget: when it runs low, a checkpoint is saved and the
+   * calendar is reported as incomplete, so a follow-up run can resume where this one stopped.
+   * Every run, successful or not, is recorded in the `sync_runs` table.
+   *
+   * @param {Object} [options={}] - Run options.
+   * @param {string} [options.triggerSource='manual'] - `manual`, `scheduled` or `resume`, recorded with the run.
+   * @returns {Array<Object>} - Per-calendar summaries: `{ calendarId, syncedAt, complete, rowsRead, rowsWritten, insertErrors, error }`.
    */
-  const syncCalendarToBigQuery = () => {
-    const syncToken = getSyncToken();
-    const events = fetchCalendarEvents(syncToken);
+  const syncCalendarToBigQuery = (options = {}) => {
+    const { triggerSource = 'manual' } = options;
+    const deadline = Date.now() + timeBudgetMs;
 
-    if (events.length > 0) {
-      const enrichedEvents = addTimestamp(events);
-      insertEventsIntoBigQuery(enrichedEvents);
-      updateSyncToken();
-      console.info(`Synced ${enrichedEvents.length} events to BigQuery.`);
-    } else {
-      console.info('No new events to sync.');
+    migrateScriptSyncState();
+
+    return calendars
+      .filter(calendar => calendar.enabled !== false)
+      .map(({ calendarId: id }) => {
+        if (Date.now() >= deadline) {
+          return { calendarId: id, syncedAt: null, complete: false, rowsRead: 0, rowsWritten: 0, insertErrors: 0, error: null };
+        }
+
+        const startTime = new Date();
+        const tokenBefore = getSyncToken(id);
+
+        try {
+          const summary = syncEvents(id, deadline);
+          runManager.recordRun({ runType: 'calendar', calendarId: id, triggerSource, startTime, tokenBefore, tokenAfter: getSyncToken(id), ...summary });
+          return { calendarId: id, syncedAt: summary.complete ? new Date() : null, ...summary, error: null };
+        } catch (error) {
+          console.error(`Error synchronizing calendar ${id}: ${error.message}`);
+          runManager.recordRun({ runType: 'calendar', calendarId: id, triggerSource, startTime, tokenBefore, tokenAfter: getSyncToken(id), errorMessage: error.message });
+          return { calendarId: id, syncedAt: null, complete: false, rowsRead: 0, rowsWritten: 0, insertErrors: 0, error: error.message };
+        }
+      });
+  };
+
+  /**
+   * Re-exports every event between two dates to BigQuery, for every enabled calendar.
+   * The incremental sync state (sync tokens, checkpoints and retry queues) is left untouched.
+   * When `replaceExisting` is set, the rows of the calendar whose `start` falls in the range are
+   * deleted first, so the table holds exactly one version of every re-exported event. The re-exported rows
+   * are written with load jobs rather than streamed, so a range can be replaced again right away.
+   *
+   * @param {Object} options - Backfill options.
+   * @param {Date} options.startDate - First day of the range (inclusive).
+   * @param {Date} options.endDate - Last day of the range (inclusive).
+   * @param {boolean} [options.replaceExisting=false] - Delete the existing rows in the range first.
+   * @param {string} [options.triggerSource='manual'] - Recorded with the run.
+   * @returns {Array<Object>} - Per-calendar summaries: `{ calendarId, complete, rowsRead, rowsWritten, insertErrors, error }`.
+   * @throws {Error} If the range is invalid.
+   */
+  const backfillCalendarToBigQuery = (options = {}) => {
+    const { startDate, endDate, replaceExisting = false, triggerSource = 'manual' } = options;
+
+    if (!(startDate instanceof Date) || !(endDate instanceof Date) || startDate > endDate) {
+      throw new Error('gasSyncManager.backfillCalendarToBigQuery: startDate must be a Date on or before endDate.');
     }
+
+    const timeMin = startDate;
+    const timeMax = new Date(endDate.getTime() + 24 * 60 * 60 * 1000);
+    const deadline = Date.now() + timeBudgetMs;
+
+    return calendars
+      .filter(calendar => calendar.enabled !== false)
+      .map(({ calendarId: id }) => {
+        const startTime = new Date();
+
+        try {
+          if (replaceExisting) {
+            deleteEventsInRange(id, timeMin, timeMax);
+          }
+
+          const summary = backfillEvents(id, timeMin, timeMax, deadline);
+          runManager.recordRun({ runType: 'backfill', calendarId: id, triggerSource, startTime, ...summary });
+          return { calendarId: id, ...summary, error: null };
+        } catch (error) {
+          console.error(`Error backfilling calendar ${id}: ${error.message}`);
+          runManager.recordRun({ runType: 'backfill', calendarId: id, triggerSource, startTime, errorMessage: error.message });
+          return { calendarId: id, complete: false, rowsRead: 0, rowsWritten: 0, insertErrors: 0, error: error.message };
+        }
+      });
   };
 
   /**
-   * Fetch events from Google Calendar.
-   * @param {string|null} syncToken - The sync token for incremental updates.
-   * @returns {Array<Object>} - List of calendar events.
+   * Exports the events of one calendar that start in the range, page by page.
+   * @param {string} id - The calendar ID.
+   * @param {Date} timeMin - Start of the range (inclusive).
+   * @param {Date} timeMax - End of the range (exclusive).
+   * @param {number} deadline - Time (in ms since epoch) at which the run has to stop.
+   * @returns {{complete: boolean, rowsRead: number, rowsWritten: number, insertErrors: number}} - Summary of the run.
    */
-  const fetchCalendarEvents = (syncToken) => {
+  const backfillEvents = (id, timeMin, timeMax, deadline) => {
+    const summary = { complete: false, rowsRead: 0, rowsWritten: 0, insertErrors: 0 };
     const optionalArgs = {
-      maxResults: 250,
-      showDeleted: true,
-      singleEvents: true,
-      orderBy: 'startTime'
+      ...LIST_OPTIONS,
+      orderBy: 'startTime',
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString()
     };
 
+    for (;;) {
+      const response = Calendar.Events.list(id, optionalArgs);
+      // The list also returns events that start before the range and end in it; they are not part of the
+      // range that `deleteEventsInRange` replaces
+      const events = (response.items || []).filter((event) => {
+        const start = event.start && new Date(event.start.dateTime || event.start.date);
+        return start && start >= timeMin && start < timeMax;
+      });
+
+      if (events.length > 0) {
+        addPageToSummary(summary, events.length, insertEventsIntoBigQuery(id, addTimestamp(events), { useLoadJob: true }));
+      }
+
+      if (!response.nextPageToken) {
+        summary.complete = true;
+        break;
+      }
+
+      if (Date.now() >= deadline) {
+        console.warn(`Time budget exhausted while backfilling ${id} after ${summary.rowsRead} events.`);
+        break;
+      }
+
+      optionalArgs.pageToken = response.nextPageToken;
+    }
+
+    console.info(`Backfilled ${summary.rowsWritten} events from ${id} between ${timeMin.toISOString()} and ${timeMax.toISOString()}.`);
+    return summary;
+  };
+
+  /**
+   * Deletes the rows of a calendar whose `start` falls in the range.
+   * Rows exported before the table recorded the calendar are attributed to the primary calendar.
+   * @param {string} id - The calendar ID.
+   * @param {Date} timeMin - Start of the range (inclusive).
+   * @param {Date} timeMax - End of the range (exclusive).
+   */
+  const deleteEventsInRange = (id, timeMin, timeMax) => {
+    const calendarFilter = id === primaryCalendarId
+      ? '(calendar_id = @calendarId OR calendar_id IS NULL)'
+      : 'calendar_id = @calendarId';
+
+    const bigQueryManager = gasBigQueryManager({ projectId, datasetId, tableId });
+    try {
+      bigQueryManager.deleteRows(
+        `start >= @timeMin AND start < @timeMax AND ${calendarFilter}`,
+        { timeMin, timeMax, calendarId: id }
+      );
+    } catch (error) {
+      if (bigQueryManager.isStreamingBufferError(error)) {
+        throw new Error('Events in this range were synchronized recently and BigQuery can not delete them yet ' +
+          '(streamed rows can be deleted after up to 90 minutes). Try again later, or re-export without replacing.');
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Fetches changed events (and queued retries) of one calendar page by page and inserts every
+   * page into BigQuery before reading the next one. Resumes from the saved checkpoint if there is one.
+   * @param {string} id - The calendar ID.
+   * @param {number} deadline - Time (in ms since epoch) at which the run has to stop.
+   * @returns {{complete: boolean, rowsRead: number, rowsWritten: number, insertErrors: number}} - Summary of the run.
+   */
+  const syncEvents = (id, deadline) => {
+    const summary = { complete: false, rowsRead: 0, rowsWritten: 0, insertErrors: 0 };
+    const checkpoint = getCheckpoint(id);
+
+    let syncToken;
+    let pageToken;
+    let rowsSent;
+
+    if (checkpoint) {
+      ({ syncToken, pageToken, rowsSent } = checkpoint);
+      console.info(`Resuming sync of ${id} after ${rowsSent} events.`);
+    } else {
+      const retryEvents = fetchRetryQueueEvents(id);
+      const retryResult = retryEvents.length > 0
+        ? insertEventsIntoBigQuery(id, addTimestamp(retryEvents))
+        : { insertedCount: 0, failedIds: [] };
+      saveRetryQueue(id, retryResult.failedIds);
+      addPageToSummary(summary, retryEvents.length, retryResult);
+      syncToken = getSyncToken(id);
+      pageToken = null;
+      rowsSent = 0;
+    }
+
+    let pageDuration = 0;
+
+    for (;;) {
+      const pageStart = Date.now();
+      let response;
+
+      try {
+        response = fetchCalendarEvents(id, syncToken, pageToken);
+      } catch (error) {
+        if (syncToken && isSyncTokenInvalid(error)) {
+          console.warn(`Sync token for ${id} is no longer valid. Performing a full sync.`);
+          resetSyncToken(id);
+          syncToken = null;
+          pageToken = null;
+          rowsSent = 0;
+          continue;
+        }
+        throw error;
+      }
+
+      const events = response.items || [];
+      if (events.length > 0) {
+        addPageToSummary(summary, events.length, insertPage(id, events));
+        rowsSent += events.length;
+      }
+
+      if (!response.nextPageToken) {
+        // Stage the new sync token (only the last page carries it) and commit it now every page has landed
+        if (response.nextSyncToken) {
+          PropertiesService.getUserProperties().setProperty(`${PENDING_SYNC_TOKEN_PREFIX}${id}`, response.nextSyncToken);
+        }
+        updateSyncToken(id);
+        clearCheckpoint(id);
+        summary.complete = true;
+        break;
+      }
+
+      pageToken = response.nextPageToken;
+      pageDuration = Math.max(pageDuration, Date.now() - pageStart);
+
+      if (Date.now() + pageDuration * 2 >= deadline) {
+        saveCheckpoint(id, { syncToken, pageToken, rowsSent });
+        console.warn(`Time budget exhausted while syncing ${id}. Checkpoint saved after ${rowsSent} events.`);
+        break;
+      }
+    }
+
+    console.info(`Synced ${summary.rowsWritten} events from ${id} to BigQuery` +
+      (summary.insertErrors > 0 ? `, ${summary.insertErrors} queued for retry` : '') +
+      (summary.complete ? '.' : ' (incomplete).'));
+    return summary;
+  };
+
+  /**
+   * Inserts one page of events and appends the rejected ones to the retry queue.
+   * @param {string} id - The calendar ID.
+   * @param {Array<Object>} events - The events of the page.
+   * @returns {{insertedCount: number, failedIds: Array<string>}} - The insert result.
+   */
+  const insertPage = (id, events) => {
+    const result = insertEventsIntoBigQuery(id, addTimestamp(events));
+    if (result.failedIds.length > 0) {
+      saveRetryQueue(id, [...new Set(getRetryQueue(id).concat(result.failedIds))]);
+    }
+    return result;
+  };
+
+  /**
+   * Adds the result of one inserted page to the run summary.
+   * @param {Object} summary - The run summary.
+   * @param {number} rowsRead - Number of events read.
+   * @param {Object} result - The insert result.
+   */
+  const addPageToSummary = (summary, rowsRead, { insertedCount, failedIds }) => {
+    summary.rowsRead += rowsRead;
+    summary.rowsWritten += insertedCount;
+    summary.insertErrors += failedIds.length;
+  };
+
+  /**
+   * Fetch one page of events from Google Calendar.
+   * @param {string} id - The calendar ID.
+   * @param {string|null} syncToken - The sync token for incremental updates.
+   * @param {string|null} [pageToken] - The page to fetch; the first page when omitted.
+   * @returns {Object} - The `Calendar.Events.list` response (`items`, `nextPageToken`, `nextSyncToken`).
+   */
+  const fetchCalendarEvents = (id, syncToken, pageToken = null) => {
+    const optionalArgs = { ...LIST_OPTIONS };
+
     if (syncToken) {
       optionalArgs.syncToken = syncToken;
     }
 
-    const response = Calendar.Events.list(calendarId, optionalArgs);
-    const events = response.items || [];
-
-    // Save the new sync token for future use
-    if (response.nextSyncToken) {
-      PropertiesService.getScriptProperties().setProperty('SYNC_TOKEN', response.nextSyncToken);
+    if (pageToken) {
+      optionalArgs.pageToken = pageToken;
     }
 
-    return events;
+    return Calendar.Events.list(id, optionalArgs);
+  };
+
+  /**
+   * Get the checkpoint saved when a sync of the calendar ran out of time.
+   * @param {string} [id] - The calendar ID (defaults to the primary calendar).
+   * @returns {Object|null} - `{ syncToken, pageToken, rowsSent, savedAt }` or null if there is none.
+   */
+  const getCheckpoint = (id = primaryCalendarId) => {
+    const checkpoint = PropertiesService.getUserProperties().getProperty(`${CHECKPOINT_PREFIX}${id}`);
+    return checkpoint ? JSON.parse(checkpoint) : null;
+  };
+
+  /**
+   * Save a checkpoint to resume the sync of a calendar from.
+   * @param {string} id - The calendar ID.
+   * @param {Object} checkpoint - `{ syncToken, pageToken, rowsSent }`.
+   */
+  const saveCheckpoint = (id, checkpoint) => {
+    PropertiesService.getUserProperties().setProperty(
+      `${CHECKPOINT_PREFIX}${id}`,
+      JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() })
+    );
+  };
+
+  /**
+   * Remove the checkpoint of a calendar.
+   * @param {string} id - The calendar ID.
+   */
+  const clearCheckpoint = (id) => {
+    PropertiesService.getUserProperties().deleteProperty(`${CHECKPOINT_PREFIX}${id}`);
+  };
+
+  /**
+   * Checks whether an error thrown by the Calendar service signals an expired sync token (HTTP 410).
+   * @param {Error} error - The error thrown by `Calendar.Events.list`.
+   * @returns {boolean} - True if a full sync is required.
+   */
+  const isSyncTokenInvalid = (error) => {
+    if (error.name === 'GoogleJsonResponseException' && error.details) {
+      return error.details.code === 410;
+    }
+    return /sync token is no longer valid/i.test(error.message || '');
   };
 
   /**
@@ -93,80 +428,249 @@ const gasSyncManager = (params = {}) => {
    * Insert events into BigQuery.
    * Enhanced to include extended properties and additional fields: 
    * iCalUID, creator email, created_time, modified_time, 
-   * as well as Code, Client, Project, Task, Rate, Comments, CompanySize, Categories, OriginalTitle, deleted.
+   * as well as Code, Client, Project, Task, Rate, Comments, CompanySize, Categories, OriginalTitle, deleted,
+   * and the ID of the calendar the event came from.
    *
+   * @param {string} id - The calendar ID the events were read from.
    * @param {Array<Object>} events - List of enriched events to insert.
+   * @param {Object} [options={}] - Insert options.
+   * @param {boolean} [options.useLoadJob=false] - Write the rows with a load job instead of streaming them, so they
+   *   can be deleted again right away. All rows are written or none.
+   * @returns {{insertedCount: number, failedIds: Array<string>}} - The number of accepted rows and the IDs of rejected events.
+   * @throws {Error} If the insert request itself still fails after retrying, or the load job fails.
    */
-  const insertEventsIntoBigQuery = (events) => {
+  const insertEventsIntoBigQuery = (id, events, options = {}) => {
+    const { useLoadJob = false } = options;
     const rows = events.map(event => {
       const sharedProps = event.extendedProperties && event.extendedProperties.shared 
         ? event.extendedProperties.shared 
         : {};
 
       return {
-        json: {
-          record_load_time: event.record_load_time,
-          id: event.id,
-          summary: event.summary || '',
-          description: event.description || '',
-          start: event.start.dateTime || event.start.date,
-          end: event.end.dateTime || event.end.date,
-          code: sharedProps.Code || '',
-          client: sharedProps.Client || '',
-          project: sharedProps.Project || '',
-          task: sharedProps.Task || '',
-          rate: sharedProps.Rate || '',
-          comments: sharedProps.Comments || '',
-          company_size: sharedProps.CompanySize || '',
-          categories: parseCategories(sharedProps.Categories),
-          original_title: sharedProps.OriginalTitle || '',
-          deleted: event.status === 'cancelled',
-          ical_uid: event.iCalUID || '',
-          creator_email: (event.creator && event.creator.email) || '',
-          created_time: event.created || '',
-          modified_time: event.updated || ''
-        }
+        record_load_time: event.record_load_time,
+        id: event.id,
+        calendar_id: id,
+        summary: event.summary || '',
+        description: event.description || '',
+        start: event.start.dateTime || event.start.date,
+        end: event.end.dateTime || event.end.date,
+        code: sharedProps.Code || '',
+        client: sharedProps.Client || '',
+        project: sharedProps.Project || '',
+        task: sharedProps.Task || '',
+        rate: sharedProps.Rate || '',
+        comments: sharedProps.Comments || '',
+        company_size: sharedProps.CompanySize || '',
+        categories: parseCategories(sharedProps.Categories),
+        original_title: sharedProps.OriginalTitle || '',
+        deleted: event.status === 'cancelled',
+        ical_uid: event.iCalUID || '',
+        creator_email: (event.creator && event.creator.email) || '',
+        created_time: event.created || '',
+        modified_time: event.updated || ''
       };
     });
 
-    const insertAllData = { rows: rows };
-    const response = BigQuery.Tabledata.insertAll(insertAllData, projectId, datasetId, tableId);
+    const bigQueryManager = gasBigQueryManager({ projectId, datasetId, tableId });
+    if (useLoadJob) {
+      return { insertedCount: bigQueryManager.appendRows(rows), failedIds: [] };
+    }
+
+    const { failedRows } = bigQueryManager.insertRows(rows, { allowPartialFailure: true });
+
+    const failedIds = [...new Set(failedRows.map(failedRow => events[failedRow.index].id))];
+    return { insertedCount: events.length - failedIds.length, failedIds };
+  };
+
+  /**
+   * Get the IDs of events that failed to insert during a previous run.
+   * @param {string} [id] - The calendar ID (defaults to the primary calendar).
+   * @returns {Array<string>} - Event IDs waiting to be retried.
+   */
+  const getRetryQueue = (id = primaryCalendarId) => {
+    const queue = PropertiesService.getUserProperties().getProperty(`${RETRY_QUEUE_PREFIX}${id}`);
+    return queue ? JSON.parse(queue) : [];
+  };
 
-    if (response.insertErrors) {
-      console.error('Errors occurred while inserting rows: ' + JSON.stringify(response.insertErrors));
+  /**
+   * Replace the retry queue of a calendar with the given event IDs.
+   * @param {string} id - The calendar ID.
+   * @param {Array<string>} eventIds - Event IDs to retry on the next run.
+   */
+  const saveRetryQueue = (id, eventIds) => {
+    const properties = PropertiesService.getUserProperties();
+    if (eventIds.length > 0) {
+      properties.setProperty(`${RETRY_QUEUE_PREFIX}${id}`, JSON.stringify(eventIds));
+    } else {
+      properties.deleteProperty(`${RETRY_QUEUE_PREFIX}${id}`);
     }
   };
 
   /**
-   * Get the current sync token.
+   * Fetch the current version of every event in the retry queue of a calendar.
+   * Events that can no longer be retrieved are dropped from the queue.
+   * @param {string} id - The calendar ID.
+   * @returns {Array<Object>} - List of calendar events to retry.
+   */
+  const fetchRetryQueueEvents = (id) => {
+    return getRetryQueue(id)
+      .map((eventId) => {
+        try {
+          return Calendar.Events.get(id, eventId);
+        } catch (error) {
+          console.warn(`Dropping event ${eventId} from the retry queue: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(event => event);
+  };
+
+  /**
+   * Get the current sync token of a calendar.
+   * @param {string} [id] - The calendar ID (defaults to the primary calendar).
    * @returns {string|null} - The sync token or null if not available.
    */
-  const getSyncToken = () => {
-    return PropertiesService.getScriptProperties().getProperty('SYNC_TOKEN');
+  const getSyncToken = (id = primaryCalendarId) => {
+    return PropertiesService.getUserProperties().getProperty(`${SYNC_TOKEN_PREFIX}${id}`);
   };
 
   /**
-   * Update the sync token (handled in fetchCalendarEvents).
+   * Commit the sync token staged by fetchCalendarEvents.
+   * Must only be called once the fetched events have been delivered to BigQuery.
+   * @param {string} [id] - The calendar ID (defaults to the primary calendar).
    */
-  const updateSyncToken = () => {
-    // Sync token is updated in fetchCalendarEvents, no additional action needed here
+  const updateSyncToken = (id = primaryCalendarId) => {
+    const properties = PropertiesService.getUserProperties();
+    const pendingToken = properties.getProperty(`${PENDING_SYNC_TOKEN_PREFIX}${id}`);
+
+    if (pendingToken) {
+      properties.setProperty(`${SYNC_TOKEN_PREFIX}${id}`, pendingToken);
+      properties.deleteProperty(`${PENDING_SYNC_TOKEN_PREFIX}${id}`);
+    }
   };
 
   /**
    * Reset the sync token to perform a full sync.
+   * @param {string} [id] - The calendar ID. When omitted, the tokens of all calendars are reset.
+   */
+  const resetSyncToken = (id) => {
+    const properties = PropertiesService.getUserProperties();
+    const calendarIds = id ? [id] : calendars.map(calendar => calendar.calendarId);
+
+    calendarIds.forEach((calendarIdToReset) => {
+      properties.deleteProperty(`${SYNC_TOKEN_PREFIX}${calendarIdToReset}`);
+      properties.deleteProperty(`${PENDING_SYNC_TOKEN_PREFIX}${calendarIdToReset}`);
+      properties.deleteProperty(`${CHECKPOINT_PREFIX}${calendarIdToReset}`);
+      properties.deleteProperty(`${RETRY_QUEUE_PREFIX}${calendarIdToReset}`);
+    });
+
+    console.info(`Sync token has been reset for ${calendarIds.join(', ')}. The next sync will perform a full sync.`);
+  };
+
+  /**
+   * One-time migration of the sync state that used to be shared in the Script Properties.
+   * Per-calendar state is moved to the current user for the calendars they synchronize. The
+   * script-wide token of the single-calendar version is only claimed when Google accepts it for
+   * the user's primary calendar, so it ends up with the user whose calendar produced it.
+   * The migration is only marked as done once the token was claimed or clearly rejected by Google; after any
+   * other error (network, quota) it runs again on the next sync, so the token is not lost.
+   * @returns {boolean} - True if the migration completed, false if it already ran for this user or has to run again.
    */
-  const resetSyncToken = () => {
-    PropertiesService.getScriptProperties().deleteProperty('SYNC_TOKEN');
-    console.info('Sync token has been reset. The next sync will perform a full sync.');
+  const migrateScriptSyncState = () => {
+    const userProperties = PropertiesService.getUserProperties();
+    if (userProperties.getProperty(MIGRATION_FLAG) === 'true') {
+      return false;
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+
+    try {
+      const scriptProperties = PropertiesService.getScriptProperties();
+
+      calendars.forEach(({ calendarId: id }) => {
+        [SYNC_TOKEN_PREFIX, PENDING_SYNC_TOKEN_PREFIX, RETRY_QUEUE_PREFIX].forEach((prefix) => {
+          const key = `${prefix}${id}`;
+          const value = scriptProperties.getProperty(key);
+          if (value) {
+            if (!userProperties.getProperty(key)) {
+              userProperties.setProperty(key, value);
+            }
+            scriptProperties.deleteProperty(key);
+          }
+        });
+      });
+
+      const legacyToken = scriptProperties.getProperty(LEGACY_SYNC_TOKEN_KEY);
+      const primaryTokenKey = `${SYNC_TOKEN_PREFIX}${primaryCalendarId}`;
+      if (legacyToken && !userProperties.getProperty(primaryTokenKey)) {
+        let tokenValid;
+        try {
+          tokenValid = isSyncTokenValidFor(primaryCalendarId, legacyToken);
+        } catch (error) {
+          console.warn(`Unable to check the script-wide sync token, the migration will run again: ${error.message}`);
+          return false;
+        }
+
+        if (tokenValid) {
+          userProperties.setProperty(primaryTokenKey, legacyToken);
+          scriptProperties.deleteProperty(LEGACY_SYNC_TOKEN_KEY);
+          console.info(`Migrated the script-wide sync token to calendar ${primaryCalendarId}.`);
+        }
+      }
+
+      userProperties.setProperty(MIGRATION_FLAG, 'true');
+      return true;
+    } finally {
+      lock.releaseLock();
+    }
+  };
+
+  /**
+   * Checks whether a sync token is accepted by Google for the given calendar.
+   * @param {string} id - The calendar ID.
+   * @param {string} syncToken - The sync token to check.
+   * @returns {boolean} - True if the token can be used for incremental syncs of the calendar, false if Google
+   *   rejected it (HTTP 400 or 410).
+   * @throws {Error} If the check failed for another reason, e.g. a network or quota error.
+   */
+  const isSyncTokenValidFor = (id, syncToken) => {
+    try {
+      Calendar.Events.list(id, { ...LIST_OPTIONS, maxResults: 1, syncToken });
+      return true;
+    } catch (error) {
+      if (!isSyncTokenRejected(error)) {
+        throw error;
+      }
+      console.info(`Script-wide sync token does not belong to calendar ${id}: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Checks if an error means that Google rejected a sync token: it is expired (HTTP 410) or was issued
+   * for another calendar (HTTP 400).
+   * @param {Error} error - The error thrown by `Calendar.Events.list`.
+   * @returns {boolean}
+   */
+  const isSyncTokenRejected = (error) => {
+    if (error.name === 'GoogleJsonResponseException' && error.details) {
+      return error.details.code === 400 || error.details.code === 410;
+    }
+    return isSyncTokenInvalid(error) || /invalid sync token|bad request/i.test(error.message || '');
   };
 
   return Object.freeze({
     syncCalendarToBigQuery,
+    backfillCalendarToBigQuery,
     fetchCalendarEvents,
     addTimestamp,
     insertEventsIntoBigQuery,
     getSyncToken,
     updateSyncToken,
-    resetSyncToken
+    getRetryQueue,
+    getCheckpoint,
+    resetSyncToken,
+    migrateScriptSyncState
   });
 };
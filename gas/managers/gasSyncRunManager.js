@@ -0,0 +1,145 @@
+/* global gasBigQueryManager, Session, Utilities, console */
+
+/**
+ * @file gasSyncRunManager.js
+ * @description Records an audit trail of synchronization runs in the BigQuery `sync_runs` table
+ * and reads the most recent runs back for display in the Admin card.
+ *
+ * Usage Example:
+ * const runManager = gasSyncRunManager({ projectId: 'my-project', datasetId: 'ara_time' });
+ * runManager.recordRun({ runType: 'calendar', startTime, rowsRead: 10, rowsWritten: 10 });
+ * const runs = runManager.getRecentRuns(5);
+ */
+
+/**
+ * gasSyncRunManager
+ *
+ * @param {Object} params - Parameters for initializing the run manager.
+ * @param {string} params.projectId - The BigQuery project ID.
+ * @param {string} params.datasetId - The BigQuery dataset ID.
+ * @param {string} [params.tableId='sync_runs'] - The table holding the run records.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to record and list synchronization runs.
+ */
+const gasSyncRunManager = (params = {}) => {
+  const {
+    projectId,
+    datasetId,
+    tableId = 'sync_runs',
+    logManager = console
+  } = params;
+
+  if (!projectId || !datasetId) {
+    throw new Error('gasSyncRunManager: projectId and datasetId are required.');
+  }
+
+  const bigQueryManager = gasBigQueryManager({ projectId, datasetId, tableId });
+
+  /**
+   * Derives the outcome of a run from its error message, insert errors and completion.
+   * @param {Object} run - The run details.
+   * @returns {string} - `failed`, `partial`, `incomplete` or `success`.
+   */
+  const getStatus = ({ errorMessage, insertErrors, complete }) => {
+    if (errorMessage) return 'failed';
+    if (insertErrors > 0) return 'partial';
+    if (!complete) return 'incomplete';
+    return 'success';
+  };
+
+  /**
+   * Returns the email address of the user the script is running as, if available.
+   * @returns {string|null}
+   */
+  const getUserEmail = () => {
+    try {
+      return Session.getEffectiveUser().getEmail() || null;
+    } catch (error) {
+      logManager.warn(`gasSyncRunManager: Unable to determine the user: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Writes an audit record for a synchronization run.
+   * Failures are logged and never thrown, so auditing can not break a synchronization.
+   *
+   * @param {Object} run - The run details.
+   * @param {string} run.runType - `calendar`, `backfill` or `projects`.
+   * @param {string} [run.calendarId] - The calendar that was synchronized, for `calendar` runs.
+   * @param {Date} run.startTime - When the run started.
+   * @param {Date} [run.endTime=new Date()] - When the run finished.
+   * @param {number} [run.rowsRead=0] - Number of source records read.
+   * @param {number} [run.rowsWritten=0] - Number of rows accepted by BigQuery.
+   * @param {number} [run.insertErrors=0] - Number of rows rejected by BigQuery.
+   * @param {string} [run.errorMessage] - The error that aborted the run.
+   * @param {boolean} [run.complete=true] - False if the run stopped at a checkpoint to be resumed later.
+   * @param {string} [run.tokenBefore] - Sync token at the start of the run.
+   * @param {string} [run.tokenAfter] - Sync token at the end of the run.
+   * @param {string} [run.triggerSource='manual'] - `manual`, `scheduled` or `resume`.
+   * @returns {Object|null} - The recorded row, or null if recording failed.
+   */
+  const recordRun = (run) => {
+    const {
+      runType,
+      calendarId = null,
+      startTime,
+      endTime = new Date(),
+      rowsRead = 0,
+      rowsWritten = 0,
+      insertErrors = 0,
+      errorMessage = null,
+      complete = true,
+      tokenBefore = null,
+      tokenAfter = null,
+      triggerSource = 'manual'
+    } = run;
+
+    const row = {
+      run_id: Utilities.getUuid(),
+      run_type: runType,
+      calendar_id: calendarId,
+      status: getStatus({ errorMessage, insertErrors, complete }),
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      rows_read: rowsRead,
+      rows_written: rowsWritten,
+      insert_errors: insertErrors,
+      error_message: errorMessage,
+      token_before: tokenBefore,
+      token_after: tokenAfter,
+      triggered_by: getUserEmail(),
+      trigger_source: triggerSource
+    };
+
+    try {
+      bigQueryManager.insertRows([row]);
+      return row;
+    } catch (error) {
+      logManager.error(`gasSyncRunManager: Failed to record ${runType} run: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Retrieves the most recent runs, newest first.
+   * @param {number} [limit=5] - The number of runs to return.
+   * @returns {Array<Object>} - Run records keyed by column name.
+   */
+  const getRecentRuns = (limit = 5) => {
+    const { rows } = bigQueryManager.query(`
+      SELECT run_type, calendar_id, status, start_time, end_time, rows_read, rows_written, insert_errors,
+             error_message, triggered_by, trigger_source
+      FROM \`${projectId}.${datasetId}.${tableId}\`
+      ORDER BY start_time DESC
+      LIMIT @limit
+    `, { limit: parseInt(limit, 10) || 5 });
+
+    return rows;
+  };
+
+  return Object.freeze({
+    recordRun,
+    getRecentRuns
+  });
+};
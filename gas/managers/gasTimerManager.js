@@ -0,0 +1,175 @@
+/* global PropertiesService, LockService, console */
+
+/**
+ * @file gasTimerManager.js
+ * @description Tracks a running timer for a task and turns it into a calendar event when it stops.
+ * The running timer is stored in the User Properties, so it survives card reloads and sessions.
+ * Only one timer runs at a time: switching to another task stops the running timer and starts a new one
+ * at the same moment, so no time is lost or counted twice.
+ * Like a new entry on the Homepage card, the event of a stopped timer is checked for overlaps with existing
+ * entries first. If it overlaps, no event is created and the timer keeps running; the caller shows the overlaps
+ * and repeats the call with `overlapMode` `ignore` (save anyway) or `trim` (trim to fit) and the original `endTime`.
+ *
+ * Usage Example:
+ * const timerManager = gasTimerManager({ calendarManager: gasCalendarManager({ calendarId }) });
+ * timerManager.start({ client, project, task, code, description: 'Design review' });
+ * const timer = timerManager.getTimer(); // null if no timer is running
+ * const { eventId, overlaps } = timerManager.stop(); // eventId is null if the entry overlaps others
+ */
+
+/**
+ * gasTimerManager
+ *
+ * @param {Object} params - Parameters for initializing the timer manager.
+ * @param {Object} params.calendarManager - Instance of `gasCalendarManager` that creates the events.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to start, stop, switch and discard the timer.
+ */
+const gasTimerManager = (params = {}) => {
+  const {
+    calendarManager,
+    logManager = console
+  } = params;
+
+  if (!calendarManager) {
+    throw new Error('gasTimerManager: calendarManager is required.');
+  }
+
+  const TIMER_KEY = 'RUNNING_TIMER';
+
+  /**
+   * Retrieves the running timer.
+   * @returns {Object|null} - The task details passed to `start` and the `startTime` (ISO string), or null if
+   *   no timer is running.
+   */
+  const getTimer = () => {
+    const timerJson = PropertiesService.getUserProperties().getProperty(TIMER_KEY);
+    return timerJson ? JSON.parse(timerJson) : null;
+  };
+
+  /**
+   * Runs a function while holding the user lock, so that two clicks can not stop the same timer twice.
+   * @param {Function} callback - The function to run.
+   * @returns {*} - The result of the callback.
+   */
+  const withLock = (callback) => {
+    const lock = LockService.getUserLock();
+    lock.waitLock(10000);
+    try {
+      return callback();
+    } finally {
+      lock.releaseLock();
+    }
+  };
+
+  /**
+   * Starts a timer.
+   * @param {Object} entry - The task the time is spent on, with the fields of `gasCalendarManager.createEvent`
+   *   (client, project, task, code, rate, comments, budgetedHours, companySize, categories, description, originalTitle).
+   * @param {Date} [startTime=new Date()] - When the timer starts.
+   * @returns {Object} - The running timer.
+   * @throws {Error} If a timer is already running.
+   */
+  const startTimer = (entry, startTime) => {
+    if (getTimer()) {
+      throw new Error('gasTimerManager: A timer is already running. Stop it or switch to another task.');
+    }
+
+    const timer = Object.assign({}, entry, { startTime: startTime.toISOString() });
+    PropertiesService.getUserProperties().setProperty(TIMER_KEY, JSON.stringify(timer));
+    logManager.info(`gasTimerManager: Started timer for "${entry.task}" at ${timer.startTime}.`);
+    return timer;
+  };
+
+  /**
+   * Stops the running timer and creates an event for the elapsed time. The timer is only cleared once the
+   * event exists, so a failed attempt can be repeated.
+   * @param {Object} options - The options of `stop`, with the `endTime` set.
+   * @returns {{eventId: string|null, overlaps: Array<Object>, timer: Object, endTime: Date}} - The created event and
+   *   the stopped timer. `eventId` is null, and the timer still runs, if the entry overlaps the `overlaps`.
+   * @throws {Error} If no timer is running, another timer than `timerStartTime` runs, or the event can not be created.
+   */
+  const stopTimer = ({ endTime, overlapMode, timerStartTime }) => {
+    const timer = getTimer();
+    if (!timer) {
+      throw new Error('gasTimerManager: No timer is running.');
+    }
+    if (timerStartTime && new Date(timer.startTime).getTime() !== timerStartTime.getTime()) {
+      throw new Error('gasTimerManager: The timer was stopped or switched in the meantime.');
+    }
+
+    const { startTime, ...entry } = timer;
+    let times = { startTime: new Date(startTime), endTime };
+
+    if (overlapMode === 'trim') {
+      times = calendarManager.trimToFit(times.startTime, times.endTime);
+    } else if (!overlapMode) {
+      const overlaps = calendarManager.findOverlaps(times.startTime, times.endTime);
+      if (overlaps.length > 0) {
+        logManager.info(`gasTimerManager: Timer for "${timer.task}" overlaps ${overlaps.length} entries; it keeps running.`);
+        return { eventId: null, overlaps, timer, endTime };
+      }
+    }
+
+    const eventId = calendarManager.createEvent(Object.assign({}, entry, times));
+
+    PropertiesService.getUserProperties().deleteProperty(TIMER_KEY);
+    logManager.info(`gasTimerManager: Stopped timer for "${timer.task}", created event ${eventId}.`);
+    return { eventId, overlaps: [], timer, endTime: times.endTime };
+  };
+
+  /**
+   * Starts a timer for a task.
+   * @param {Object} entry - The task the time is spent on (see `startTimer`).
+   * @returns {Object} - The running timer.
+   * @throws {Error} If a timer is already running.
+   */
+  const start = (entry) => withLock(() => startTimer(entry, new Date()));
+
+  /**
+   * Stops the running timer and creates a calendar event with the elapsed time, unless it overlaps existing entries.
+   * @param {Object} [options={}] - Stop options.
+   * @param {Date} [options.endTime=new Date()] - When the timer stops; pass the original time when repeating the call.
+   * @param {string} [options.overlapMode] - `ignore` to save an overlapping entry anyway, `trim` to save it in the
+   *   longest part of its range that no other entry covers. Without it, overlaps are returned instead.
+   * @param {Date} [options.timerStartTime] - The start of the timer the user saw, so that a repeated call does not
+   *   stop another timer.
+   * @returns {{eventId: string|null, overlaps: Array<Object>, timer: Object, endTime: Date}} - See `stopTimer`.
+   * @throws {Error} If no timer is running, or the event can not be created.
+   */
+  const stop = (options = {}) => withLock(() => stopTimer(Object.assign({}, options, { endTime: options.endTime || new Date() })));
+
+  /**
+   * Stops the running timer, creating its event, and starts a timer for another task at the same moment.
+   * If the event of the running timer overlaps existing entries, nothing changes and the overlaps are returned.
+   * @param {Object} entry - The task to switch to (see `startTimer`).
+   * @param {Object} [options={}] - The options of `stop`; `endTime` is also the start of the new timer.
+   * @returns {{eventId: string|null, overlaps: Array<Object>, timer: Object, endTime: Date}} - The event of the stopped
+   *   timer and the new running timer, or the running timer and its overlaps if `eventId` is null.
+   * @throws {Error} If no timer is running, or the event can not be created.
+   */
+  const switchTo = (entry, options = {}) => withLock(() => {
+    const endTime = options.endTime || new Date();
+    const stopped = stopTimer(Object.assign({}, options, { endTime }));
+    if (!stopped.eventId) {
+      return stopped;
+    }
+    return { eventId: stopped.eventId, overlaps: [], timer: startTimer(entry, endTime), endTime };
+  });
+
+  /**
+   * Discards the running timer without creating an event.
+   */
+  const discard = () => {
+    PropertiesService.getUserProperties().deleteProperty(TIMER_KEY);
+    logManager.info('gasTimerManager: Discarded the running timer.');
+  };
+
+  return Object.freeze({
+    getTimer,
+    start,
+    stop,
+    switchTo,
+    discard
+  });
+};
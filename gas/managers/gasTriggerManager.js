@@ -0,0 +1,280 @@
+/* global ScriptApp, PropertiesService, console */
+
+/**
+ * @file gasTriggerManager.js
+ * @description Manages the time-driven triggers that run the background synchronizations.
+ * This module supports installing, listing and removing the scheduled triggers, storing the
+ * configured interval, keeping track of the last run of each scheduled job, and scheduling the
+ * one-off triggers that resume a sync which ran out of time or run a background job such as a table rebuild.
+ *
+ * Time-driven triggers of an add-on can run at most once per hour, so a resume is scheduled an hour
+ * after the interrupted run. With the hourly schedule installed, no resume trigger is needed: the
+ * next scheduled run continues from the checkpoint.
+ *
+ * Daily jobs that are not part of the sync schedule, such as the check for unlogged time, get their own
+ * trigger (see `installDailyTrigger`).
+ *
+ * The trigger handler functions themselves live in `triggers/`.
+ *
+ * Usage Example:
+ * const triggerManager = gasTriggerManager();
+ * triggerManager.installTriggers(6); // Run every 6 hours
+ * const schedule = triggerManager.getSchedule();
+ * triggerManager.removeTriggers();
+ * triggerManager.scheduleResume('resumeCalendarSync');
+ * triggerManager.scheduleOnce('runTableRebuild');
+ * triggerManager.installDailyTrigger('runDailyGapCheck', 7); // Every day between 7 and 8
+ */
+
+/**
+ * gasTriggerManager
+ *
+ * @param {Object} [params={}] - Parameters for initializing the trigger manager.
+ * @param {Array<string>} [params.handlerFunctions] - Names of the global functions run by the triggers.
+ * @param {Object} [params.logManager=console] - Logger for debugging (defaults to console).
+ * @returns {Object} Methods to install, list and remove the scheduled sync triggers.
+ */
+const gasTriggerManager = (params = {}) => {
+  const {
+    handlerFunctions = ['runScheduledCalendarSync', 'runScheduledProjectSync'],
+    logManager = console
+  } = params;
+
+  const INTERVAL_KEY = 'SYNC_INTERVAL_HOURS';
+  const INSTALLED_AT_KEY = 'SYNC_SCHEDULE_INSTALLED_AT';
+  const LAST_RUN_PREFIX = 'LAST_RUN_';
+  const RESUME_AT_PREFIX = 'RESUME_AT_';
+
+  /**
+   * Delay before an interrupted sync resumes: add-on time-driven triggers run at most once per hour.
+   */
+  const RESUME_DELAY_MS = 60 * 60 * 1000;
+
+  /**
+   * Intervals (in hours) supported by the time-driven trigger builder.
+   */
+  const SUPPORTED_INTERVALS = [1, 2, 4, 6, 8, 12, 24];
+
+  /**
+   * Checks if the scheduled triggers are installed for the current user.
+   * @returns {boolean} - True if at least one sync trigger exists.
+   */
+  const isInstalled = () => listTriggers().length > 0;
+
+  /**
+   * Installs a time-driven trigger for every handler function.
+   * Existing sync triggers are removed first so that only one schedule is active.
+   * @param {number} intervalHours - The interval between runs, in hours.
+   * @throws {Error} If the interval is not supported.
+   */
+  const installTriggers = (intervalHours) => {
+    const interval = parseInt(intervalHours, 10);
+    if (!SUPPORTED_INTERVALS.includes(interval)) {
+      throw new Error(`gasTriggerManager.installTriggers: Unsupported interval "${intervalHours}". Use one of ${SUPPORTED_INTERVALS.join(', ')} hours.`);
+    }
+
+    removeTriggers();
+
+    handlerFunctions.forEach((handlerFunction) => {
+      const clock = ScriptApp.newTrigger(handlerFunction).timeBased();
+      if (interval === 24) {
+        clock.everyDays(1);
+      } else {
+        clock.everyHours(interval);
+      }
+      clock.create();
+      logManager.info(`gasTriggerManager: Installed trigger for "${handlerFunction}" every ${interval} hour(s).`);
+    });
+
+    PropertiesService.getUserProperties().setProperties({
+      [INTERVAL_KEY]: String(interval),
+      [INSTALLED_AT_KEY]: new Date().toISOString()
+    });
+  };
+
+  /**
+   * Lists the sync triggers installed for the current user.
+   * @returns {Array<Object>} - Trigger summaries with `id`, `handlerFunction` and `eventType`.
+   */
+  const listTriggers = () => {
+    return ScriptApp.getProjectTriggers()
+      .filter(trigger => handlerFunctions.includes(trigger.getHandlerFunction()))
+      .map(trigger => ({
+        id: trigger.getUniqueId(),
+        handlerFunction: trigger.getHandlerFunction(),
+        eventType: String(trigger.getEventType())
+      }));
+  };
+
+  /**
+   * Removes all sync triggers installed for the current user.
+   * @returns {number} - The number of triggers removed.
+   */
+  const removeTriggers = () => {
+    const triggers = ScriptApp.getProjectTriggers()
+      .filter(trigger => handlerFunctions.includes(trigger.getHandlerFunction()));
+
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    const properties = PropertiesService.getUserProperties();
+    properties.deleteProperty(INTERVAL_KEY);
+    properties.deleteProperty(INSTALLED_AT_KEY);
+
+    logManager.info(`gasTriggerManager: Removed ${triggers.length} trigger(s).`);
+    return triggers.length;
+  };
+
+  /**
+   * Schedules a one-off trigger that resumes an interrupted sync an hour from now (see `RESUME_DELAY_MS`).
+   * Does nothing if a resume trigger for the handler is already pending, or if the hourly schedule is
+   * installed, since its next run resumes the sync.
+   * @param {string} handlerFunction - The global function that resumes the sync.
+   * @returns {Date} - When the sync is expected to resume.
+   */
+  const scheduleResume = (handlerFunction) => {
+    const pendingResumeAt = getResumeTime(handlerFunction);
+    if (pendingResumeAt) {
+      return pendingResumeAt;
+    }
+
+    if (isInstalled() && parseInt(PropertiesService.getUserProperties().getProperty(INTERVAL_KEY), 10) === 1) {
+      logManager.info(`gasTriggerManager: "${handlerFunction}" is not scheduled; the hourly schedule resumes the sync.`);
+      return new Date(Date.now() + RESUME_DELAY_MS);
+    }
+
+    return scheduleOnce(handlerFunction);
+  };
+
+  /**
+   * Schedules a one-off trigger that runs a background job an hour from now (see `RESUME_DELAY_MS`),
+   * unless one is already pending. The handler removes it with `clearResume`.
+   * @param {string} handlerFunction - The global function that runs the job.
+   * @returns {Date} - When the job is expected to run.
+   */
+  const scheduleOnce = (handlerFunction) => {
+    const pendingRunAt = getResumeTime(handlerFunction);
+    if (pendingRunAt) {
+      return pendingRunAt;
+    }
+
+    const runAt = new Date(Date.now() + RESUME_DELAY_MS);
+    ScriptApp.newTrigger(handlerFunction).timeBased().after(RESUME_DELAY_MS).create();
+    PropertiesService.getUserProperties().setProperty(`${RESUME_AT_PREFIX}${handlerFunction}`, runAt.toISOString());
+    logManager.info(`gasTriggerManager: Scheduled "${handlerFunction}" to run at ${runAt.toISOString()}.`);
+    return runAt;
+  };
+
+  /**
+   * Retrieves when a pending resume trigger fires.
+   * @param {string} handlerFunction - The global function that resumes the sync.
+   * @returns {Date|null} - The expected time, or null if no resume trigger is pending.
+   */
+  const getResumeTime = (handlerFunction) => {
+    const pending = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handlerFunction);
+    if (!pending) {
+      return null;
+    }
+
+    const resumeAt = PropertiesService.getUserProperties().getProperty(`${RESUME_AT_PREFIX}${handlerFunction}`);
+    return resumeAt ? new Date(resumeAt) : null;
+  };
+
+  /**
+   * Removes the one-off resume triggers of a handler. Called by the handler itself,
+   * since fired one-off triggers are not removed automatically.
+   * @param {string} handlerFunction - The global function that resumes the sync.
+   */
+  const clearResume = (handlerFunction) => {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === handlerFunction)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    PropertiesService.getUserProperties().deleteProperty(`${RESUME_AT_PREFIX}${handlerFunction}`);
+  };
+
+  /**
+   * Installs a trigger that runs a handler once a day, replacing an existing trigger of the handler.
+   * Apps Script picks the exact time within the hour.
+   * @param {string} handlerFunction - The global function to run.
+   * @param {number} hour - The hour of the day (0-23) in the script time zone.
+   */
+  const installDailyTrigger = (handlerFunction, hour) => {
+    removeDailyTrigger(handlerFunction);
+    ScriptApp.newTrigger(handlerFunction).timeBased().everyDays(1).atHour(hour).create();
+    logManager.info(`gasTriggerManager: Installed daily trigger for "${handlerFunction}" at ${hour}:00.`);
+  };
+
+  /**
+   * Removes the daily trigger of a handler.
+   * @param {string} handlerFunction - The global function run by the trigger.
+   * @returns {number} - The number of triggers removed.
+   */
+  const removeDailyTrigger = (handlerFunction) => {
+    const triggers = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === handlerFunction);
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    return triggers.length;
+  };
+
+  /**
+   * Checks if a daily trigger is installed for a handler.
+   * @param {string} handlerFunction - The global function run by the trigger.
+   * @returns {boolean}
+   */
+  const isDailyTriggerInstalled = (handlerFunction) => {
+    return ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handlerFunction);
+  };
+
+  /**
+   * Records the completion time of a scheduled run.
+   * @param {string} handlerFunction - The handler function that ran.
+   * @param {Date} [when=new Date()] - The time of the run.
+   */
+  const recordRun = (handlerFunction, when = new Date()) => {
+    PropertiesService.getUserProperties().setProperty(`${LAST_RUN_PREFIX}${handlerFunction}`, when.toISOString());
+  };
+
+  /**
+   * Retrieves the current schedule, including the last and (estimated) next run of each handler.
+   * Apps Script does not expose the next fire time of a trigger, so it is derived from the
+   * last run (or the installation time) plus the configured interval.
+   * @returns {Object} - `{ installed, intervalHours, runs: [{ handlerFunction, lastRun, nextRun }] }`.
+   */
+  const getSchedule = () => {
+    const properties = PropertiesService.getUserProperties();
+    const intervalHours = parseInt(properties.getProperty(INTERVAL_KEY), 10) || null;
+    const installedAt = properties.getProperty(INSTALLED_AT_KEY);
+    const installed = isInstalled();
+
+    const runs = handlerFunctions.map((handlerFunction) => {
+      const lastRunValue = properties.getProperty(`${LAST_RUN_PREFIX}${handlerFunction}`);
+      const lastRun = lastRunValue ? new Date(lastRunValue) : null;
+
+      let nextRun = null;
+      if (installed && intervalHours) {
+        const reference = lastRun && installedAt && lastRun > new Date(installedAt) ? lastRun : new Date(installedAt || Date.now());
+        nextRun = new Date(reference.getTime() + intervalHours * 60 * 60 * 1000);
+      }
+
+      return { handlerFunction, lastRun, nextRun };
+    });
+
+    return { installed, intervalHours, runs };
+  };
+
+  return Object.freeze({
+    SUPPORTED_INTERVALS,
+    isInstalled,
+    installTriggers,
+    listTriggers,
+    removeTriggers,
+    scheduleResume,
+    scheduleOnce,
+    getResumeTime,
+    clearResume,
+    installDailyTrigger,
+    removeDailyTrigger,
+    isDailyTriggerInstalled,
+    recordRun,
+    getSchedule
+  });
+};
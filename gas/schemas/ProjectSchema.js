@@ -27,6 +27,7 @@
  * - `company_size` (STRING, NULLABLE): Size of the client company in terms of employees or revenue.
  * - `categories` (REPEATED STRING, NULLABLE): List of categories or tags for flexible classification.
  * - `last_updated_time` (TIMESTAMP, NULLABLE): Timestamp of the last modification to the record.
+ * - `retired` (BOOLEAN, NULLABLE): Set when the code was removed from the Projects sheet (upsert sync mode).
  */
 const PROJECT_TABLE_SCHEMA = [
     { 
@@ -118,6 +119,18 @@ const PROJECT_TABLE_SCHEMA = [
       type: 'TIMESTAMP', 
       mode: 'NULLABLE', 
       description: 'The timestamp of the last modification made to the project record. Ensures data freshness.' 
+    },
+    {
+      name: 'retired',
+      type: 'BOOLEAN',
+      mode: 'NULLABLE',
+      description: 'True when the code was removed from the Projects sheet. Retired codes are kept for reporting on past time entries.'
     }
   ];
-  
\ No newline at end of file
+
+/**
+ * Storage layout of the `projects` table: clustered by `id`, since lookups and deduplication go by project task.
+ */
+const PROJECT_TABLE_OPTIONS = {
+  clustering: ['id']
+};
@@ -0,0 +1,38 @@
+/**
+ * @file SyncRunSchema.js
+ * @description Defines the schema for the synchronization audit records stored in BigQuery.
+ * Every run of the calendar or projects synchronization writes one record to the `sync_runs` table,
+ * making it possible to verify whether the data in the other tables is complete.
+ *
+ * Fields:
+ * - `run_id` (STRING, REQUIRED): Unique identifier of the run.
+ * - `run_type` (STRING, REQUIRED): The synchronization that ran (`calendar`, `backfill` or `projects`).
+ * - `calendar_id` (STRING, NULLABLE): The calendar that was synchronized, for `calendar` runs.
+ * - `status` (STRING, REQUIRED): Outcome of the run (`success`, `partial`, `incomplete` or `failed`).
+ * - `start_time` (TIMESTAMP, REQUIRED): When the run started.
+ * - `end_time` (TIMESTAMP, NULLABLE): When the run finished.
+ * - `rows_read` (INTEGER, NULLABLE): Number of source records read.
+ * - `rows_written` (INTEGER, NULLABLE): Number of rows accepted by BigQuery.
+ * - `insert_errors` (INTEGER, NULLABLE): Number of rows rejected by BigQuery.
+ * - `error_message` (STRING, NULLABLE): The error that aborted the run, if any.
+ * - `token_before` (STRING, NULLABLE): Calendar sync token at the start of the run.
+ * - `token_after` (STRING, NULLABLE): Calendar sync token at the end of the run.
+ * - `triggered_by` (STRING, NULLABLE): Email address of the user the run executed as.
+ * - `trigger_source` (STRING, NULLABLE): How the run was started (`manual`, `scheduled` or `resume`).
+ */
+const SYNC_RUN_TABLE_SCHEMA = [
+  { name: 'run_id', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'run_type', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'calendar_id', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'status', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'start_time', type: 'TIMESTAMP', mode: 'REQUIRED' },
+  { name: 'end_time', type: 'TIMESTAMP', mode: 'NULLABLE' },
+  { name: 'rows_read', type: 'INTEGER', mode: 'NULLABLE' },
+  { name: 'rows_written', type: 'INTEGER', mode: 'NULLABLE' },
+  { name: 'insert_errors', type: 'INTEGER', mode: 'NULLABLE' },
+  { name: 'error_message', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'token_before', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'token_after', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'triggered_by', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'trigger_source', type: 'STRING', mode: 'NULLABLE' }
+];
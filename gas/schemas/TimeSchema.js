@@ -48,8 +48,16 @@ const TIME_TABLE_SCHEMA = [
   { name: 'ical_uid', type: 'STRING', mode: 'NULLABLE' },
   { name: 'creator_email', type: 'STRING', mode: 'NULLABLE' },
   { name: 'created_time', type: 'TIMESTAMP', mode: 'NULLABLE' },
-  { name: 'modified_time', type: 'TIMESTAMP', mode: 'NULLABLE' }
+  { name: 'modified_time', type: 'TIMESTAMP', mode: 'NULLABLE' },
+  { name: 'calendar_id', type: 'STRING', mode: 'NULLABLE' }
 ];
 
 
-  
\ No newline at end of file
+/**
+ * Storage layout of the `time` table: partitioned by day on `start`, so queries over a date range only
+ * scan the matching partitions, and clustered by `client` and `project`.
+ */
+const TIME_TABLE_OPTIONS = {
+  timePartitioning: { type: 'DAY', field: 'start' },
+  clustering: ['client', 'project']
+};
@@ -0,0 +1,176 @@
+/**
+ * @file ViewSchema.js
+ * @description Defines the BigQuery views maintained on top of the raw, append-only tables.
+ * The `time` and `projects` tables keep every historical version of a record; the latest-state views
+ * expose only the latest state so that reports do not have to repeat the deduplication logic.
+ * The reporting views build on them to turn time entries into hours and revenue.
+ *
+ * Latest-state views:
+ * - `time_latest`: The newest version of every event (by `modified_time`, then `record_load_time`),
+ *   excluding events whose newest version is deleted.
+ * - `projects_latest`: The newest version of every project task (by `record_date_time`).
+ *
+ * Reporting views (dates in the time zone passed to `buildReportingViews`):
+ * - `time_entries`: Every time entry with its `entry_date`, `hours`, the `rate` valid at the entry date and `revenue`.
+ * - `hours_per_day`, `hours_per_week`, `hours_per_month`: Hours per client, project and task per period.
+ * - `revenue_per_client_month`: Hours and revenue per client per month.
+ * - `budget_burn`: Logged hours of every task with `budgeted_hours`, the remaining hours and the share used.
+ *
+ * Views are created in the order they are listed, since later views select from earlier ones.
+ */
+
+/**
+ * Builds the latest-state view definitions for a dataset.
+ * @param {string} projectId - The BigQuery project ID.
+ * @param {string} datasetId - The BigQuery dataset ID.
+ * @returns {Array<{viewId: string, query: string}>} - The view IDs and their Standard SQL queries.
+ */
+const buildLatestStateViews = (projectId, datasetId) => [
+  {
+    viewId: 'time_latest',
+    query: `
+      SELECT * EXCEPT (row_num)
+      FROM (
+        SELECT
+          *,
+          ROW_NUMBER() OVER (PARTITION BY id ORDER BY modified_time DESC, record_load_time DESC) AS row_num
+        FROM \`${projectId}.${datasetId}.time\`
+      )
+      WHERE row_num = 1
+        AND IFNULL(deleted, FALSE) = FALSE
+    `
+  },
+  {
+    viewId: 'projects_latest',
+    query: `
+      SELECT * EXCEPT (row_num)
+      FROM (
+        SELECT
+          *,
+          ROW_NUMBER() OVER (PARTITION BY id ORDER BY record_date_time DESC) AS row_num
+        FROM \`${projectId}.${datasetId}.projects\`
+      )
+      WHERE row_num = 1
+    `
+  }
+];
+
+/**
+ * Builds the reporting view definitions for a dataset. Requires the latest-state views.
+ *
+ * The rate of a time entry is taken from the version of its project task (matched on `code`) whose
+ * `from`/`to` range contains the entry date, preferring the most recently recorded version. Entries
+ * without a matching project task fall back to the rate stored on the event. `rate_source` tells
+ * which one was used (`project`, `event` or null when there is no rate).
+ *
+ * @param {string} projectId - The BigQuery project ID.
+ * @param {string} datasetId - The BigQuery dataset ID.
+ * @param {string} [timeZone='UTC'] - The time zone used to assign entries to days, weeks and months.
+ * @returns {Array<{viewId: string, query: string}>} - The view IDs and their Standard SQL queries.
+ */
+const buildReportingViews = (projectId, datasetId, timeZone = 'UTC') => {
+  const dataset = `${projectId}.${datasetId}`;
+  const zone = String(timeZone).replace(/'/g, '');
+
+  const buildHoursView = (viewId, periodColumn, periodExpression) => ({
+    viewId,
+    query: `
+      SELECT
+        ${periodExpression} AS ${periodColumn},
+        client,
+        project,
+        task,
+        SUM(hours) AS hours,
+        COUNT(*) AS entries
+      FROM \`${dataset}.time_entries\`
+      GROUP BY ${periodColumn}, client, project, task
+    `
+  });
+
+  return [
+    {
+      viewId: 'time_entries',
+      query: `
+        WITH entries AS (
+          SELECT
+            id,
+            calendar_id,
+            code,
+            client,
+            project,
+            task,
+            summary,
+            start,
+            \`end\`,
+            DATE(start, '${zone}') AS entry_date,
+            TIMESTAMP_DIFF(\`end\`, start, SECOND) / 3600 AS hours,
+            SAFE_CAST(rate AS NUMERIC) AS event_rate
+          FROM \`${dataset}.time_latest\`
+          WHERE \`end\` IS NOT NULL
+        ),
+        project_rates AS (
+          SELECT
+            entries.id,
+            projects.rate,
+            ROW_NUMBER() OVER (PARTITION BY entries.id ORDER BY projects.record_date_time DESC) AS row_num
+          FROM entries
+          JOIN \`${dataset}.projects\` AS projects
+            ON projects.id = entries.code
+           AND entries.entry_date BETWEEN DATE(projects.\`from\`, '${zone}') AND DATE(projects.\`to\`, '${zone}')
+          WHERE projects.rate IS NOT NULL
+        )
+        SELECT
+          entries.* EXCEPT (event_rate),
+          COALESCE(project_rates.rate, entries.event_rate) AS rate,
+          CASE
+            WHEN project_rates.rate IS NOT NULL THEN 'project'
+            WHEN entries.event_rate IS NOT NULL THEN 'event'
+          END AS rate_source,
+          entries.hours * COALESCE(project_rates.rate, entries.event_rate) AS revenue
+        FROM entries
+        LEFT JOIN project_rates
+          ON project_rates.id = entries.id
+         AND project_rates.row_num = 1
+      `
+    },
+    buildHoursView('hours_per_day', 'day', 'entry_date'),
+    buildHoursView('hours_per_week', 'week_start', 'DATE_TRUNC(entry_date, ISOWEEK)'),
+    buildHoursView('hours_per_month', 'month', 'DATE_TRUNC(entry_date, MONTH)'),
+    {
+      viewId: 'revenue_per_client_month',
+      query: `
+        SELECT
+          DATE_TRUNC(entry_date, MONTH) AS month,
+          client,
+          SUM(hours) AS hours,
+          SUM(revenue) AS revenue,
+          SUM(IF(rate IS NULL, hours, 0)) AS hours_without_rate
+        FROM \`${dataset}.time_entries\`
+        GROUP BY month, client
+      `
+    },
+    {
+      viewId: 'budget_burn',
+      query: `
+        SELECT
+          projects.id AS code,
+          projects.client,
+          projects.project,
+          projects.task,
+          projects.budgeted_hours,
+          IFNULL(logged.hours, 0) AS hours_logged,
+          projects.budgeted_hours - IFNULL(logged.hours, 0) AS hours_remaining,
+          SAFE_DIVIDE(IFNULL(logged.hours, 0), projects.budgeted_hours) AS budget_used,
+          logged.last_entry_date
+        FROM \`${dataset}.projects_latest\` AS projects
+        LEFT JOIN (
+          SELECT code, SUM(hours) AS hours, MAX(entry_date) AS last_entry_date
+          FROM \`${dataset}.time_entries\`
+          GROUP BY code
+        ) AS logged
+          ON logged.code = projects.id
+        WHERE projects.budgeted_hours IS NOT NULL
+      `
+    }
+  ];
+};
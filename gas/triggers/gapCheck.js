@@ -0,0 +1,25 @@
+/**
+ * @file gapCheck.js
+ * @description Handler function for the daily time-driven trigger that checks for unlogged time.
+ * The trigger is installed from the Admin card through `gasTriggerManager.installDailyTrigger` and runs in the
+ * morning, so the previous working day is complete. The result is shown on the Homepage card.
+ *
+ * Handlers:
+ * - `runDailyGapCheck`: Lists the unlogged gaps in the working hours of the previous working day.
+ */
+
+/* global gasConfigManager, gasCalendarManager, gasGapCheckManager, console */
+
+/**
+ * Time-driven trigger: checks the previous working day for unlogged time and stores the report.
+ */
+const runDailyGapCheck = () => {
+  const configManager = gasConfigManager();
+  if (!configManager.isInitialized()) {
+    console.warn('runDailyGapCheck: Configuration is not initialized. Skipping run.');
+    return;
+  }
+
+  const { calendarId } = configManager.getConfiguration();
+  gasGapCheckManager({ calendarManager: gasCalendarManager({ calendarId }) }).runCheck();
+};
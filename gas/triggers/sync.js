@@ -0,0 +1,182 @@
+/**
+ * @file sync.js
+ * @description Handler functions for the time-driven triggers installed by `gasTriggerManager`.
+ * Each handler reads the configuration of the user that installed the trigger and runs
+ * the corresponding synchronization in the background. A sync that runs out of time saves a
+ * checkpoint and schedules a one-off resume trigger, which continues from that checkpoint.
+ * Before every sync, missing columns are added to the BigQuery tables (see `gasSchemaManager`).
+ * Syncs are skipped while a table rebuild of the dataset is scheduled or running; a skipped resume is
+ * scheduled again.
+ *
+ * Handlers:
+ * - `runScheduledCalendarSync`: Synchronizes Calendar events to BigQuery.
+ * - `runScheduledProjectSync`: Synchronizes the Projects sheet to BigQuery.
+ * - `resumeCalendarSync`: Resumes an interrupted Calendar sync.
+ * - `resumeProjectSync`: Resumes an interrupted Projects sync.
+ * - `runTableRebuild`: Rebuilds the tables into their partitioned and clustered layout (scheduled from the Admin card).
+ */
+
+/* global gasConfigManager, gasSyncManager, gasSyncRunManager, gasTriggerManager, gasSchemaManager, console */
+
+/**
+ * Time-driven trigger: synchronizes the events of every enabled calendar to BigQuery.
+ */
+const runScheduledCalendarSync = () => {
+  runCalendarSync('scheduled', 'runScheduledCalendarSync');
+};
+
+/**
+ * Time-driven trigger: synchronizes the Projects sheet to BigQuery.
+ */
+const runScheduledProjectSync = () => {
+  if (runProjectSync('scheduled')) {
+    gasTriggerManager().recordRun('runScheduledProjectSync');
+  }
+};
+
+/**
+ * One-off trigger: resumes a Calendar sync from its checkpoints.
+ */
+const resumeCalendarSync = () => {
+  gasTriggerManager().clearResume('resumeCalendarSync');
+  runCalendarSync('resume');
+};
+
+/**
+ * One-off trigger: resumes a Projects sync from its checkpoint.
+ */
+const resumeProjectSync = () => {
+  gasTriggerManager().clearResume('resumeProjectSync');
+  runProjectSync('resume');
+};
+
+/**
+ * Time after which a rebuild run starts no further table, leaving room for the table in progress
+ * within the 6 minute limit of an Apps Script execution.
+ */
+const TRIGGER_TIME_BUDGET_MS = 3 * 60 * 1000;
+
+/**
+ * One-off trigger: rebuilds the tables of the dataset, and schedules another run if it runs out of time.
+ */
+const runTableRebuild = () => {
+  const triggerManager = gasTriggerManager();
+  triggerManager.clearResume('runTableRebuild');
+
+  const configManager = gasConfigManager();
+  if (!configManager.isInitialized()) {
+    console.warn('runTableRebuild: Configuration is not initialized. Skipping run.');
+    return;
+  }
+
+  const { projectId, datasetId } = configManager.getConfiguration();
+  const { complete } = gasSchemaManager({ projectId, datasetId }).rebuildTables({ deadline: Date.now() + TRIGGER_TIME_BUDGET_MS });
+  if (!complete) {
+    triggerManager.scheduleOnce('runTableRebuild');
+  }
+};
+
+/**
+ * Checks whether the syncs into the dataset are paused for a table rebuild. A paused resume is scheduled
+ * again, so the sync continues from its checkpoint once the rebuild has finished.
+ * @param {Object} config - The configuration of `gasConfigManager`.
+ * @param {string} triggerSource - `scheduled` or `resume`.
+ * @param {string} resumeHandler - The handler that resumes the sync.
+ * @returns {boolean} - True if the sync must be skipped.
+ */
+const isPausedForRebuild = (config, triggerSource, resumeHandler) => {
+  if (!gasSchemaManager({ projectId: config.projectId, datasetId: config.datasetId }).isRebuildInProgress()) {
+    return false;
+  }
+
+  console.warn(`isPausedForRebuild: The tables of dataset "${config.datasetId}" are being rebuilt. Skipping run.`);
+  if (triggerSource === 'resume') {
+    gasTriggerManager().scheduleResume(resumeHandler);
+  }
+  return true;
+};
+
+/**
+ * Synchronizes the events of every enabled calendar and schedules a resume if any calendar is incomplete.
+ * Throws after all calendars ran if any of them failed, so the failure is reported by Apps Script. The run of
+ * the schedule is recorded before that, so one failing calendar does not hide the last run of the schedule.
+ * @param {string} triggerSource - `scheduled` or `resume`, recorded with the run.
+ * @param {string} [scheduledHandler] - The scheduled handler whose run is recorded once all calendars ran.
+ * @returns {boolean} - False if the app is not configured or the syncs are paused, and nothing ran.
+ */
+const runCalendarSync = (triggerSource, scheduledHandler) => {
+  const configManager = gasConfigManager();
+  if (!configManager.isInitialized()) {
+    console.warn('runCalendarSync: Configuration is not initialized. Skipping run.');
+    return false;
+  }
+
+  const config = configManager.getConfiguration();
+  if (isPausedForRebuild(config, triggerSource, 'resumeCalendarSync')) {
+    return false;
+  }
+
+  configManager.migrateSchema();
+
+  const syncManager = gasSyncManager({
+    projectId: config.projectId,
+    datasetId: config.datasetId,
+    tableId: 'time',
+    calendars: config.calendars
+  });
+
+  const results = syncManager.syncCalendarToBigQuery({ triggerSource });
+  configManager.recordCalendarSyncResults(results);
+
+  if (scheduledHandler) {
+    gasTriggerManager().recordRun(scheduledHandler);
+  }
+
+  if (results.some(result => !result.complete && !result.error)) {
+    gasTriggerManager().scheduleResume('resumeCalendarSync');
+  }
+
+  const failures = results.filter(result => result.error);
+  if (failures.length > 0) {
+    throw new Error(`runCalendarSync: ${failures.map(result => `${result.calendarId}: ${result.error}`).join('; ')}`);
+  }
+
+  return true;
+};
+
+/**
+ * Synchronizes the Projects sheet and schedules a resume if the sync is incomplete. Invalid rows are skipped
+ * when the user chose to sync only the valid rows (see `gasConfigManager.setSkipInvalidProjectRows`).
+ * @param {string} triggerSource - `scheduled` or `resume`, recorded with the run.
+ * @returns {boolean} - False if the app is not configured or the syncs are paused, and nothing ran.
+ */
+const runProjectSync = (triggerSource) => {
+  const configManager = gasConfigManager();
+  if (!configManager.isInitialized()) {
+    console.warn('runProjectSync: Configuration is not initialized. Skipping run.');
+    return false;
+  }
+
+  const config = configManager.getConfiguration();
+  if (isPausedForRebuild(config, triggerSource, 'resumeProjectSync')) {
+    return false;
+  }
+
+  configManager.migrateSchema();
+
+  const projectDataManager = configManager.createProjectInfoManager({
+    syncRunManager: gasSyncRunManager({
+      projectId: config.projectId,
+      datasetId: config.datasetId
+    })
+  });
+
+  const { complete } = projectDataManager.syncToBigQuery({ triggerSource, skipInvalidRows: config.skipInvalidProjectRows });
+  if (complete) {
+    projectDataManager.clearCache();
+  } else {
+    gasTriggerManager().scheduleResume('resumeProjectSync');
+  }
+
+  return true;
+};